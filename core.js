@@ -0,0 +1,3990 @@
+// Headless simulation core: grid, player, enemies, level generation, AI and the tick.
+// No DOM access - the browser shell (game.js) injects an input source and a renderer and
+// listens for game events, so this file also loads under Node via require().
+
+// Board size of the current level - set per level by setGridSize, never assigned directly
+let GRID_WIDTH = 30;
+let GRID_HEIGHT = 20;
+
+// Board size grows with the level: small early boards, larger later ones
+const LEVEL_GRID_SIZES = [
+    { fromLevel: 1, width: 21, height: 15 },
+    { fromLevel: 4, width: 25, height: 17 },
+    { fromLevel: 7, width: 30, height: 20 },
+    { fromLevel: 12, width: 35, height: 23 }
+];
+// Bounds for hand-authored boards
+const MIN_GRID_SIZE = { width: 8, height: 8 };
+const MAX_GRID_SIZE = { width: 60, height: 40 };
+
+function getGridSizeForLevel(level) {
+    let size = LEVEL_GRID_SIZES[0];
+    LEVEL_GRID_SIZES.forEach(entry => {
+        if (level >= entry.fromLevel) size = entry;
+    });
+    return { width: size.width, height: size.height };
+}
+
+function isValidGridSize(width, height) {
+    return Number.isInteger(width) && Number.isInteger(height) &&
+        width >= MIN_GRID_SIZE.width && width <= MAX_GRID_SIZE.width &&
+        height >= MIN_GRID_SIZE.height && height <= MAX_GRID_SIZE.height;
+}
+
+// Callers replace the grid right after, which bumps gridVersion and drops cached paths/fields
+function setGridSize(width, height) {
+    GRID_WIDTH = width;
+    GRID_HEIGHT = height;
+}
+
+// Game flow states - transitions are validated by setGameState
+const GAME_STATES = {
+    MENU: 'menu',
+    PLAYING: 'playing',
+    LEVEL_CLEAR: 'levelClear',
+    SHOP: 'shop',
+    GAME_OVER: 'gameOver'
+};
+
+const STATE_TRANSITIONS = {
+    [GAME_STATES.MENU]: [GAME_STATES.PLAYING],
+    [GAME_STATES.PLAYING]: [GAME_STATES.LEVEL_CLEAR, GAME_STATES.GAME_OVER],
+    [GAME_STATES.LEVEL_CLEAR]: [GAME_STATES.SHOP],
+    [GAME_STATES.SHOP]: [GAME_STATES.PLAYING],
+    [GAME_STATES.GAME_OVER]: [GAME_STATES.PLAYING, GAME_STATES.MENU]
+};
+
+// Level-wide enemy phases - see ENEMY_PHASE_SCHEDULES
+const ENEMY_PHASES = {
+    SCATTER: 'scatter',
+    CHASE: 'chase',
+    FRIGHTENED: 'frightened'
+};
+
+// Fixed simulation rate - all timers below count ticks, independent of the display refresh rate
+const TICK_RATE = 60;
+const TICK_MS = 1000 / TICK_RATE;
+const MAX_FRAME_MS = 250; // Clamp long stalls (background tabs) instead of fast-forwarding through them
+
+const LEVEL_CLEAR_TICKS = TICK_RATE; // Matches the 1s levelFade banner shown before the shop opens
+const COMBO_WINDOW_TICKS = TICK_RATE; // Dots eaten within 1s of each other chain the combo
+
+// Permanent unlocks bought between runs with meta-currency earned from each run.
+// Each entry is bought in levels up to maxLevel; `requires` lists the unlock levels that must
+// be owned first, which makes this a small tree rather than a flat list.
+const META_UNLOCKS = {
+    startingLives: { label: 'Starting Life', baseCost: 50, costGrowth: 2, maxLevel: 3 },
+    baseSpeed: { label: 'Base Speed', baseCost: 40, costGrowth: 2, maxLevel: 3 },
+    startingMultiplier: { label: 'Starting Multiplier', baseCost: 150, costGrowth: 2.5, maxLevel: 2, requires: { startingLives: 1 } },
+    earlyThemes: { label: 'Early Theme', baseCost: 30, costGrowth: 1.5, maxLevel: 4 }, // Fortress, labyrinth, chambers, spiral
+    teleporters: { label: 'Teleporter Tiles', baseCost: 80, costGrowth: 1, maxLevel: 1, requires: { earlyThemes: 1 } },
+    safeZones: { label: 'Safe Zone Tiles', baseCost: 120, costGrowth: 1, maxLevel: 1, requires: { teleporters: 1 } }
+};
+
+function createEmptyUnlocks() {
+    const unlocks = {};
+    Object.keys(META_UNLOCKS).forEach(type => { unlocks[type] = 0; });
+    return unlocks;
+}
+
+function isValidUnlocks(unlocks) {
+    if (!unlocks || typeof unlocks !== 'object') return false;
+    return Object.keys(META_UNLOCKS).every(type =>
+        Number.isInteger(unlocks[type]) && unlocks[type] >= 0 && unlocks[type] <= META_UNLOCKS[type].maxLevel);
+}
+
+function getMetaUnlockCost(type, unlocks) {
+    const unlock = META_UNLOCKS[type];
+    return Math.round(unlock.baseCost * Math.pow(unlock.costGrowth, unlocks[type]));
+}
+
+function isMetaUnlockAvailable(type, unlocks) {
+    const requires = META_UNLOCKS[type].requires || {};
+    return Object.keys(requires).every(required => unlocks[required] >= requires[required]);
+}
+
+function canPurchaseMetaUnlock(type, unlocks, currency) {
+    const unlock = META_UNLOCKS[type];
+    if (!unlock || unlocks[type] >= unlock.maxLevel || !isMetaUnlockAvailable(type, unlocks)) return false;
+    return currency >= getMetaUnlockCost(type, unlocks);
+}
+
+// Meta-currency paid out when a run ends
+function calculateMetaReward(score, level) {
+    return Math.floor(Math.max(0, score) / 100) + (level - 1) * 5;
+}
+
+// Game state with better balanced speeds; meta unlocks set the starting lives, speed and multiplier
+function createInitialGameState(runSeed = randomSeed(), unlocks = createEmptyUnlocks()) {
+    const startingSpeed = 12 - unlocks.baseSpeed;
+    return {
+        score: 0,
+        level: 1,
+        lives: 3 + unlocks.startingLives,
+        multiplier: 1 + unlocks.startingMultiplier,
+        state: GAME_STATES.PLAYING,
+        stateTimer: 0,
+        isPaused: false,
+        playerSpeed: startingSpeed,  // Slower for better balance
+        enemySpeed: 16,   // Slower enemy speed for more strategic gameplay
+        dotsCollected: 0,
+        totalDots: 0,
+        powerPelletActive: false,
+        powerPelletTimer: 0,
+        powerPelletDuration: 400,
+        ghostChain: 0,  // Ghosts eaten on the current power pellet
+        enemyPhase: { mode: ENEMY_PHASES.SCATTER, step: 0, timer: 0 },  // Set per level by resetEnemyPhase
+        pelletDurationBonus: 0,  // Extra power pellet ticks bought in the shop
+        difficulty: 1.0,
+        comboCounter: 0,
+        lastDotTick: -COMBO_WINDOW_TICKS,
+        tick: 0,
+        basePlayerSpeed: startingSpeed,
+        baseEnemySpeed: 16,
+        maxSpeedIncrease: 8,  // Limit speed increases for balance
+        upgradeLevels: { speed: 0, lives: 0, multiplier: 0, pellet: 0 },
+        unlocks: { ...unlocks },
+        playerSpawn: { x: 1, y: 1 },
+        enemyHome: null,  // getEnemyHome() on generated boards; hand-authored ones have none
+        customStart: false,  // Level 1 was a hand-authored board (editor play-test)
+        perks: {},        // Perk id -> stacks picked this run
+        perkDraft: [],    // Perk ids on offer in the current shop
+        perkState: { sanctuaryLevel: 0 },
+        runSeed: runSeed,
+        levelSeed: 0
+    };
+}
+
+let game = createInitialGameState(0);
+game.state = GAME_STATES.MENU; // Nothing is simulated until a run is started
+
+// Player (prevX/prevY is the cell being left, used to interpolate rendering between cells)
+let player = {
+    x: 1,
+    y: 1,
+    prevX: 1,
+    prevY: 1,
+    moveTimer: 0,
+    moveInterval: 8,
+    teleportCooldown: 0,
+    effects: {},
+    direction: { x: 0, y: 0 }
+};
+
+// Enemies
+let enemies = [];
+
+// The boss on boss levels (see createBoss), null everywhere else
+let boss = null;
+
+// Grid: the terrain layer (0 floor, 1 wall, 4 teleporter, 6 safe zone, 7 mud, 8 speed pad, 9-12 doors)
+let grid = [];
+
+// Item layer over the terrain: 0 nothing, 2 dot, 3 power pellet, 5 bonus. Items never block
+// movement, so collecting one leaves the terrain and pathfinding caches untouched.
+let items = [];
+const ITEM_TILES = [2, 3, 5];
+
+// Items go on any walkable terrain except teleporters, which nobody ever stops on
+function canHoldItem(x, y, cells = grid) {
+    return cells[y][x] !== 1 && cells[y][x] !== 4;
+}
+
+// Flat cell index for typed-array bookkeeping over the grid
+function cellIndex(x, y) {
+    return y * GRID_WIDTH + x;
+}
+
+// Bumped by every change to which cells are walls; cached paths and fields are only valid
+// for the version they were computed against
+let gridVersion = 0;
+
+// Runtime grid writes go through here so wall changes invalidate pathfinding caches
+function setTile(x, y, tile) {
+    if ((grid[y][x] === 1) !== (tile === 1)) {
+        gridVersion++;
+    }
+    grid[y][x] = tile;
+}
+
+// One-way doors (tiles 9-12) can only be entered and left in their arrow's direction
+const DOOR_TILES = {
+    9: { x: 0, y: -1 },
+    10: { x: 1, y: 0 },
+    11: { x: 0, y: 1 },
+    12: { x: -1, y: 0 }
+};
+
+function isDoorBlocked(fromTile, toTile, dx, dy) {
+    const doorOut = DOOR_TILES[fromTile];
+    const doorIn = DOOR_TILES[toTile];
+    return Boolean(doorOut && (doorOut.x !== dx || doorOut.y !== dy)) ||
+        Boolean(doorIn && (doorIn.x !== dx || doorIn.y !== dy));
+}
+
+// Whether one step from a cell is allowed: on the board, not into a wall, and along any door's arrow.
+// Every movement and search goes through this (or isDoorBlocked in the hot loops).
+function canStep(fromX, fromY, dx, dy, cells = grid) {
+    const toX = fromX + dx;
+    const toY = fromY + dy;
+    if (toY < 0 || toY >= cells.length || toX < 0 || toX >= cells[0].length || cells[toY][toX] === 1) {
+        return false;
+    }
+    return !isDoorBlocked(cells[fromY][fromX], cells[toY][toX], dx, dy);
+}
+
+// Teleporter pairs on the current board. Stepping onto one end lands on the other, after
+// which the entity can't teleport again until its cooldown runs out.
+const TELEPORT_COOLDOWN_TICKS = TICK_RATE;
+
+let teleporters = [];  // [{ id, ends: [{x, y}, {x, y}] }]
+let teleporterExits = new Map();  // cell index -> { x, y, id } of the other end
+
+function setTeleporters(pairs) {
+    teleporters = pairs;
+    teleporterExits = new Map();
+    pairs.forEach(pair => {
+        const [a, b] = pair.ends;
+        teleporterExits.set(cellIndex(a.x, a.y), { x: b.x, y: b.y, id: pair.id });
+        teleporterExits.set(cellIndex(b.x, b.y), { x: a.x, y: a.y, id: pair.id });
+    });
+    gridVersion++; // Pairs are pathfinding edges, so cached paths and fields go stale
+}
+
+function getTeleporterExit(x, y) {
+    return teleporterExits.get(cellIndex(x, y)) || null;
+}
+
+// Pair id of the teleporter at a cell, or -1
+function getTeleporterId(x, y) {
+    const exit = getTeleporterExit(x, y);
+    return exit ? exit.id : -1;
+}
+
+// Moves an entity that just stepped onto a teleporter to the other end of the pair
+function tryTeleport(entity) {
+    const exit = getTeleporterExit(entity.x, entity.y);
+    if (!exit || entity.teleportCooldown > 0) return false;
+    
+    snapEntityTo(entity, exit.x, exit.y);
+    entity.teleportCooldown = TELEPORT_COOLDOWN_TICKS;
+    return true;
+}
+
+// Hand-authored boards pair their teleporter tiles in reading order; a leftover odd one is unpaired
+function pairTeleporterCells(cells) {
+    const ends = [];
+    cells.forEach((row, y) => row.forEach((tile, x) => {
+        if (tile === 4) ends.push({ x, y });
+    }));
+    
+    const pairs = [];
+    for (let i = 0; i + 1 < ends.length; i += 2) {
+        pairs.push({ id: pairs.length, ends: [ends[i], ends[i + 1]] });
+    }
+    return pairs;
+}
+
+// Least-recently-used cache tied to the grid version, with stats for the debug overlay
+function createLruCache(maxSize) {
+    const entries = new Map();
+    let version = gridVersion;
+    
+    const cache = {
+        stats: { hits: 0, misses: 0, evictions: 0, invalidations: 0 },
+        get size() {
+            return entries.size;
+        },
+        // Drops everything if the grid changed since the entries were stored
+        sync() {
+            if (version === gridVersion) return;
+            if (entries.size > 0) {
+                cache.stats.invalidations++;
+                entries.clear();
+            }
+            version = gridVersion;
+        },
+        get(key) {
+            cache.sync();
+            if (!entries.has(key)) {
+                cache.stats.misses++;
+                return undefined;
+            }
+            
+            // Re-insert to mark as most recently used
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            cache.stats.hits++;
+            return value;
+        },
+        set(key, value) {
+            cache.sync();
+            entries.delete(key);
+            if (entries.size >= maxSize) {
+                entries.delete(entries.keys().next().value);
+                cache.stats.evictions++;
+            }
+            entries.set(key, value);
+        }
+    };
+    return cache;
+}
+
+// Enhanced pathfinding cache with LRU eviction and grid-aware invalidation
+const MAX_CACHE_SIZE = 500;
+let pathfindingCache = createLruCache(MAX_CACHE_SIZE);
+
+// Shared distance fields (flow fields) keyed by target cell - every enemy chasing the same
+// cell descends one BFS result instead of running its own search
+const MAX_FIELD_CACHE_SIZE = 64;
+let distanceFieldCache = createLruCache(MAX_FIELD_CACHE_SIZE);
+
+// Theme tracking
+let currentTheme = 'classic';
+
+// Seeded PRNG (mulberry32) so every board and enemy decision can be reproduced from a seed
+function createRng(seed) {
+    let state = seed >>> 0;
+    return {
+        next() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+        int(max) {
+            return Math.floor(this.next() * max);
+        },
+        getState() {
+            return state;
+        },
+        setState(value) {
+            state = value >>> 0;
+        }
+    };
+}
+
+// Accepts numbers or arbitrary strings (e.g. from the URL) and returns a 32-bit seed
+function hashSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    
+    // FNV-1a for non-numeric seeds
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Mix a run seed with a level number (or stream name) into an independent sub-seed
+function deriveSeed(seed, salt) {
+    let hash = hashSeed(salt) ^ Math.imul(seed >>> 0, 0x9E3779B1);
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// Fresh unseeded runs still get a concrete seed so they can be shared afterwards
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Level generation and enemy AI draw from separate streams so AI decisions never shift the board
+let levelRng = createRng(0);
+let aiRng = createRng(0);
+
+// Enhanced A* pathfinding with improved heuristics and cache management
+function findPath(startX, startY, endX, endY) {
+    // Early exit for same position
+    if (startX === endX && startY === endY) {
+        return [];
+    }
+    
+    // Cached paths stay valid until a wall changes
+    const key = `${startX},${startY}-${endX},${endY}`;
+    const cached = pathfindingCache.get(key);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const path = searchPath(startX, startY, endX, endY);
+    pathfindingCache.set(key, path);
+    return path;
+}
+
+// Improved heuristic - consider both Manhattan and diagonal distance
+function pathHeuristic(x1, y1, x2, y2) {
+    const dx = Math.abs(x1 - x2);
+    const dy = Math.abs(y1 - y2);
+    return dx + dy + Math.min(dx, dy) * 0.1; // Slight preference for diagonal paths
+}
+
+// pathHeuristic with teleporters as shortcuts, so it never overestimates on boards with portals
+function portalHeuristic(x, y, endX, endY) {
+    let estimate = pathHeuristic(x, y, endX, endY);
+    teleporterExits.forEach((exit, cell) => {
+        const viaPortal = Math.abs(x - cell % GRID_WIDTH) + Math.abs(y - Math.floor(cell / GRID_WIDTH)) + 1 +
+            pathHeuristic(exit.x, exit.y, endX, endY);
+        estimate = Math.min(estimate, viaPortal);
+    });
+    return estimate;
+}
+
+// Binary min-heap of cell indices ordered by a priority; stale entries are skipped by the caller
+// (lazy deletion) instead of supporting decrease-key
+function createCellHeap(capacity) {
+    let cells = new Int32Array(capacity);
+    let priorities = new Float64Array(capacity);
+    let size = 0;
+    
+    return {
+        get size() {
+            return size;
+        },
+        clear() {
+            size = 0;
+        },
+        push(cell, priority) {
+            if (size === cells.length) {
+                const grownCells = new Int32Array(cells.length * 2);
+                const grownPriorities = new Float64Array(cells.length * 2);
+                grownCells.set(cells);
+                grownPriorities.set(priorities);
+                cells = grownCells;
+                priorities = grownPriorities;
+            }
+            
+            // Sift up
+            let i = size++;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (priorities[parent] <= priority) break;
+                cells[i] = cells[parent];
+                priorities[i] = priorities[parent];
+                i = parent;
+            }
+            cells[i] = cell;
+            priorities[i] = priority;
+        },
+        pop() {
+            const top = cells[0];
+            const lastCell = cells[--size];
+            const lastPriority = priorities[size];
+            
+            // Sift down
+            let i = 0;
+            while (true) {
+                let child = 2 * i + 1;
+                if (child >= size) break;
+                if (child + 1 < size && priorities[child + 1] < priorities[child]) child++;
+                if (priorities[child] >= lastPriority) break;
+                cells[i] = cells[child];
+                priorities[i] = priorities[child];
+                i = child;
+            }
+            cells[i] = lastCell;
+            priorities[i] = lastPriority;
+            return top;
+        }
+    };
+}
+
+// Right, left, down, up - same neighbour order as the original search
+const NEIGHBOR_DX = [1, -1, 0, 0];
+const NEIGHBOR_DY = [0, 0, 1, -1];
+
+// Search scratch space reused across calls. Stamps mark which entries belong to the current
+// search so nothing has to be cleared between searches.
+let pathScratch = null;
+
+function getPathScratch() {
+    const size = GRID_WIDTH * GRID_HEIGHT;
+    if (!pathScratch || pathScratch.size !== size) {
+        pathScratch = {
+            size,
+            stamp: 0,
+            gScore: new Float64Array(size),
+            parent: new Int32Array(size),
+            seenStamp: new Uint32Array(size),
+            closedStamp: new Uint32Array(size),
+            openHeap: createCellHeap(64)
+        };
+    }
+    return pathScratch;
+}
+
+// A* over integer cell indices with a binary-heap open set and typed-array bookkeeping
+function searchPath(startX, startY, endX, endY) {
+    // Early exit if target is unreachable (wall)
+    if (grid[endY] && grid[endY][endX] === 1) {
+        return null;
+    }
+    
+    const scratch = getPathScratch();
+    const { gScore, parent, seenStamp, closedStamp, openHeap } = scratch;
+    const stamp = ++scratch.stamp;
+    const start = cellIndex(startX, startY);
+    const goal = cellIndex(endX, endY);
+    
+    openHeap.clear();
+    gScore[start] = 0;
+    parent[start] = -1;
+    seenStamp[start] = stamp;
+    const heuristic = teleporterExits.size > 0 ? portalHeuristic : pathHeuristic;
+    openHeap.push(start, heuristic(startX, startY, endX, endY));
+    
+    while (openHeap.size > 0) {
+        const current = openHeap.pop();
+        if (closedStamp[current] === stamp) continue; // Stale heap entry
+        closedStamp[current] = stamp;
+        
+        // Check if we reached the goal
+        if (current === goal) {
+            const path = [];
+            for (let cell = goal; cell !== start; cell = parent[cell]) {
+                path.push({x: cell % GRID_WIDTH, y: Math.floor(cell / GRID_WIDTH)});
+            }
+            return path.reverse();
+        }
+        
+        const x = current % GRID_WIDTH;
+        const y = Math.floor(current / GRID_WIDTH);
+        const g = gScore[current] + 1;
+        
+        for (let d = 0; d < 5; d++) {
+            let nx, ny;
+            if (d < 4) {
+                nx = x + NEIGHBOR_DX[d];
+                ny = y + NEIGHBOR_DY[d];
+                if (nx < 0 || nx >= GRID_WIDTH || ny < 0 || ny >= GRID_HEIGHT || grid[ny][nx] === 1 ||
+                    isDoorBlocked(grid[y][x], grid[ny][nx], NEIGHBOR_DX[d], NEIGHBOR_DY[d])) {
+                    continue;
+                }
+            } else {
+                // Entering a teleporter continues from its partner. Not from the start cell:
+                // an entity already standing on one has to step off and back on.
+                const exit = current !== start && teleporterExits.get(current);
+                if (!exit) continue;
+                nx = exit.x;
+                ny = exit.y;
+            }
+            
+            const neighbor = cellIndex(nx, ny);
+            if (closedStamp[neighbor] === stamp) continue;
+            
+            if (seenStamp[neighbor] !== stamp || g < gScore[neighbor]) {
+                seenStamp[neighbor] = stamp;
+                gScore[neighbor] = g;
+                parent[neighbor] = current;
+                openHeap.push(neighbor, g + heuristic(nx, ny, endX, endY));
+            }
+        }
+    }
+    
+    return null; // No path found
+}
+
+// The original linear-scan A* with string keys, kept only as the baseline for benchmarkPathfinding
+function searchPathLegacy(startX, startY, endX, endY) {
+    // Early exit if target is unreachable (wall)
+    if (grid[endY] && grid[endY][endX] === 1) {
+        return null;
+    }
+
+    const openSet = [{x: startX, y: startY, g: 0, h: 0, f: 0, parent: null}];
+    const closedSet = new Set();
+    const openSetMap = new Map();
+    openSetMap.set(`${startX},${startY}`, openSet[0]);
+    
+    while (openSet.length > 0) {
+        // More efficient way to find minimum f-score
+        let currentIndex = 0;
+        for (let i = 1; i < openSet.length; i++) {
+            if (openSet[i].f < openSet[currentIndex].f) {
+                currentIndex = i;
+            }
+        }
+        
+        let current = openSet[currentIndex];
+        
+        // Remove current from open set
+        openSet.splice(currentIndex, 1);
+        openSetMap.delete(`${current.x},${current.y}`);
+        closedSet.add(`${current.x},${current.y}`);
+        
+        // Check if we reached the goal
+        if (current.x === endX && current.y === endY) {
+            let path = [];
+            while (current.parent) {
+                path.unshift({x: current.x, y: current.y});
+                current = current.parent;
+            }
+            return path;
+        }
+        
+        // Check neighbors with improved movement costs
+        const neighbors = [
+            {x: current.x + 1, y: current.y, cost: 1},
+            {x: current.x - 1, y: current.y, cost: 1},
+            {x: current.x, y: current.y + 1, cost: 1},
+            {x: current.x, y: current.y - 1, cost: 1}
+        ];
+        
+        for (let neighbor of neighbors) {
+            const neighborKey = `${neighbor.x},${neighbor.y}`;
+            
+            if (neighbor.x < 0 || neighbor.x >= GRID_WIDTH || 
+                neighbor.y < 0 || neighbor.y >= GRID_HEIGHT ||
+                grid[neighbor.y][neighbor.x] === 1 ||
+                closedSet.has(neighborKey)) {
+                continue;
+            }
+            
+            let g = current.g + neighbor.cost;
+            let h = pathHeuristic(neighbor.x, neighbor.y, endX, endY);
+            let f = g + h;
+            
+            let existing = openSetMap.get(neighborKey);
+            if (!existing) {
+                const newNode = {
+                    x: neighbor.x, 
+                    y: neighbor.y, 
+                    g: g, 
+                    h: h, 
+                    f: f, 
+                    parent: current
+                };
+                openSet.push(newNode);
+                openSetMap.set(neighborKey, newNode);
+            } else if (g < existing.g) {
+                existing.g = g;
+                existing.f = g + existing.h;
+                existing.parent = current;
+            }
+        }
+    }
+    
+    return null; // No path found
+}
+
+// BFS distance (in moves) from every walkable cell to the target; -1 where unreachable
+function computeDistanceField(targetX, targetY) {
+    const field = new Int32Array(GRID_WIDTH * GRID_HEIGHT).fill(-1);
+    const queue = new Int32Array(GRID_WIDTH * GRID_HEIGHT);
+    let head = 0;
+    let tail = 0;
+    
+    queue[tail++] = cellIndex(targetX, targetY);
+    field[queue[0]] = 0;
+    
+    while (head < tail) {
+        const current = queue[head++];
+        const x = current % GRID_WIDTH;
+        const y = Math.floor(current / GRID_WIDTH);
+        
+        // Teleporter pairs link both ends, so fields flow through portals
+        const exit = teleporterExits.get(current);
+        if (exit && field[cellIndex(exit.x, exit.y)] === -1) {
+            field[cellIndex(exit.x, exit.y)] = field[current] + 1;
+            queue[tail++] = cellIndex(exit.x, exit.y);
+        }
+        
+        for (let d = 0; d < 4; d++) {
+            const nx = x + NEIGHBOR_DX[d];
+            const ny = y + NEIGHBOR_DY[d];
+            // The field runs backwards from the target: the neighbor has to be able to step here
+            if (nx < 0 || nx >= GRID_WIDTH || ny < 0 || ny >= GRID_HEIGHT || grid[ny][nx] === 1 ||
+                isDoorBlocked(grid[ny][nx], grid[y][x], -NEIGHBOR_DX[d], -NEIGHBOR_DY[d])) {
+                continue;
+            }
+            
+            const neighbor = cellIndex(nx, ny);
+            if (field[neighbor] === -1) {
+                field[neighbor] = field[current] + 1;
+                queue[tail++] = neighbor;
+            }
+        }
+    }
+    
+    return field;
+}
+
+// Cached field for a target cell, or null if the target is off the board or a wall.
+// The field for the player's cell is built once and then shared by every chasing enemy.
+function getDistanceField(targetX, targetY) {
+    if (targetX < 0 || targetX >= GRID_WIDTH || targetY < 0 || targetY >= GRID_HEIGHT ||
+        grid[targetY][targetX] === 1) {
+        return null;
+    }
+    
+    const key = cellIndex(targetX, targetY);
+    let field = distanceFieldCache.get(key);
+    if (field) {
+        return field;
+    }
+    
+    field = computeDistanceField(targetX, targetY);
+    distanceFieldCache.set(key, field);
+    return field;
+}
+
+// One step downhill on the target's distance field, or null when already there or cut off
+function getFieldMove(entity, targetX, targetY) {
+    const field = getDistanceField(targetX, targetY);
+    if (!field) return null;
+    
+    let bestDistance = field[cellIndex(entity.x, entity.y)];
+    if (bestDistance <= 0) return null;
+    
+    let bestMove = null;
+    for (let d = 0; d < 4; d++) {
+        const nx = entity.x + NEIGHBOR_DX[d];
+        const ny = entity.y + NEIGHBOR_DY[d];
+        if (!canStep(entity.x, entity.y, NEIGHBOR_DX[d], NEIGHBOR_DY[d])) continue;
+        
+        const distance = field[cellIndex(nx, ny)];
+        if (distance !== -1 && distance < bestDistance) {
+            bestDistance = distance;
+            bestMove = { x: NEIGHBOR_DX[d], y: NEIGHBOR_DY[d] };
+        }
+    }
+    return bestMove;
+}
+
+// Enhanced procedural level generation with biomes and special features.
+// The same level and seed always produce the same board and enemy roster.
+function generateLevel(level, seed = deriveSeed(game.runSeed, level)) {
+    game.levelSeed = seed;
+    aiRng = createRng(deriveSeed(seed, 'ai'));
+    
+    const { theme, report } = buildLevelGrid(level, seed);
+    currentTheme = theme;
+    game.totalDots = report.totalDots;
+    game.playerSpawn = { x: 1, y: 1 };
+    game.enemyHome = getEnemyHome();
+    snapEntityTo(player, 1, 1);
+    
+    // Generate enemies with advanced behaviors
+    generateAdvancedEnemies(level);
+    boss = isBossLevel(level) ? createBoss(level) : null;
+    resetEnemyPhase(level);
+    
+    // Update difficulty scaling with better balance
+    updateBalancedDifficulty(level);
+    
+    emitGameEvent('levelGenerated', { level, theme, seed, report, boss: Boolean(boss) });
+}
+
+// Level themes/biomes, each lasting three levels. Themes unlocked early join the rotation
+// from level 1 until the natural progression catches up with them.
+const LEVEL_THEMES = ['classic', 'fortress', 'labyrinth', 'chambers', 'spiral'];
+
+function getThemeForLevel(level, earlyThemes = 0) {
+    const themeIndex = Math.min(LEVEL_THEMES.length - 1, Math.floor((level - 1) / 3));
+    if (earlyThemes > themeIndex) {
+        return LEVEL_THEMES[(level - 1) % (earlyThemes + 1)];
+    }
+    return LEVEL_THEMES[themeIndex];
+}
+
+// Builds the board itself (walls, special tiles, pellets, dots) into grid. Boss levels get an
+// arena in place of the themed maze and its special features. The theme defaults to the run's
+// rotation, early-theme unlocks included.
+function buildLevelGrid(level, seed, arena = isBossLevel(level), theme = getThemeForLevel(level, game.unlocks.earlyThemes)) {
+    const size = getGridSizeForLevel(level);
+    setGridSize(size.width, size.height);
+    grid = Array(GRID_HEIGHT).fill().map(() => Array(GRID_WIDTH).fill(0));
+    items = Array(GRID_HEIGHT).fill().map(() => Array(GRID_WIDTH).fill(0));
+    setTeleporters([]); // Also invalidates every cached path and field for the new board
+    levelRng = createRng(seed);
+    
+    // Create border walls
+    for (let y = 0; y < GRID_HEIGHT; y++) {
+        for (let x = 0; x < GRID_WIDTH; x++) {
+            if (x === 0 || x === GRID_WIDTH - 1 || y === 0 || y === GRID_HEIGHT - 1) {
+                grid[y][x] = 1;
+            }
+        }
+    }
+    
+    if (arena) {
+        generateBossArena();
+    } else {
+        // Generate themed maze
+        generateThemedMaze(level, theme);
+        
+        // Add special features based on level
+        addSpecialFeatures(level);
+    }
+    
+    // Clear starting areas
+    clearStartingAreas();
+    
+    // Join every walled-off pocket to the player's region with minimal corridors
+    const carvedWalls = connectRegions(1, 1);
+    
+    // Doors need the finished layout to check they don't cut anything off
+    if (!arena && level >= 6 && level % 3 === 0) {
+        addOneWayDoors(level);
+    }
+    
+    // Place strategic power pellets
+    placePowerPellets(level);
+    
+    // Place dots
+    placeDots();
+    
+    // Verify the finished board is winnable and count the dots that can actually be eaten
+    const report = validateLevel(1, 1);
+    report.carvedWalls = carvedWalls;
+    
+    return { theme, report };
+}
+
+function generateMaze(level) {
+    // Create a more interesting maze with varying complexity based on level
+    const complexity = Math.min(0.8, 0.3 + level * 0.05);
+    divideChamber(1, 1, GRID_WIDTH - 2, GRID_HEIGHT - 2, complexity);
+    
+    // Add some random walls for variety
+    const extraWalls = Math.floor(level / 3);
+    for (let i = 0; i < extraWalls; i++) {
+        let x = levelRng.int(GRID_WIDTH - 4) + 2;
+        let y = levelRng.int(GRID_HEIGHT - 4) + 2;
+        if (grid[y][x] === 0) {
+            grid[y][x] = 1;
+        }
+    }
+}
+
+// Flood fill over walkable cells; returns a per-cell reachability flag. One-way doors make this
+// directed: cells reachable from the start, or with reverse set, cells that can reach the start.
+function findReachableCells(startX, startY, cells = grid, reverse = false) {
+    const width = cells[0].length;
+    const height = cells.length;
+    const reachable = new Uint8Array(width * height);
+    const queue = [startY * width + startX];
+    reachable[queue[0]] = 1;
+    
+    for (let head = 0; head < queue.length; head++) {
+        const x = queue[head] % width;
+        const y = Math.floor(queue[head] / width);
+        const neighbors = [
+            {x: x+1, y: y}, {x: x-1, y: y}, 
+            {x: x, y: y+1}, {x: x, y: y-1}
+        ];
+        
+        for (let neighbor of neighbors) {
+            const index = neighbor.y * width + neighbor.x;
+            const stepOk = reverse ?
+                canStep(neighbor.x, neighbor.y, x - neighbor.x, y - neighbor.y, cells) :
+                canStep(x, y, neighbor.x - x, neighbor.y - y, cells);
+            if (neighbor.x > 0 && neighbor.x < width-1 &&
+                neighbor.y > 0 && neighbor.y < height-1 &&
+                !reachable[index] && stepOk) {
+                reachable[index] = 1;
+                queue.push(index);
+            }
+        }
+    }
+    
+    return reachable;
+}
+
+function findUnreachableOpenCell(reachable) {
+    for (let y = 1; y < GRID_HEIGHT-1; y++) {
+        for (let x = 1; x < GRID_WIDTH-1; x++) {
+            if (grid[y][x] !== 1 && !reachable[cellIndex(x, y)]) {
+                return {x, y};
+            }
+        }
+    }
+    return null;
+}
+
+// Repeatedly joins the nearest disconnected region to the start region by carving the
+// fewest interior walls (0-1 BFS: open cells cost nothing, walls cost one). Returns walls carved.
+function connectRegions(startX, startY) {
+    let carvedWalls = 0;
+    
+    while (true) {
+        const reachable = findReachableCells(startX, startY);
+        if (!findUnreachableOpenCell(reachable)) break;
+        
+        const cost = new Int32Array(GRID_WIDTH * GRID_HEIGHT).fill(-1);
+        const parent = new Int32Array(GRID_WIDTH * GRID_HEIGHT).fill(-1);
+        let layer = [];
+        for (let index = 0; index < reachable.length; index++) {
+            if (reachable[index]) {
+                cost[index] = 0;
+                layer.push(index);
+            }
+        }
+        
+        let target = -1;
+        while (layer.length > 0 && target === -1) {
+            const nextLayer = [];
+            
+            // Open cells extend the current layer for free, walls go into the next one
+            for (let i = 0; i < layer.length && target === -1; i++) {
+                const x = layer[i] % GRID_WIDTH;
+                const y = Math.floor(layer[i] / GRID_WIDTH);
+                const neighbors = [
+                    {x: x+1, y: y}, {x: x-1, y: y}, 
+                    {x: x, y: y+1}, {x: x, y: y-1}
+                ];
+                
+                for (let neighbor of neighbors) {
+                    const index = cellIndex(neighbor.x, neighbor.y);
+                    if (neighbor.x <= 0 || neighbor.x >= GRID_WIDTH-1 ||
+                        neighbor.y <= 0 || neighbor.y >= GRID_HEIGHT-1 ||
+                        cost[index] !== -1) {
+                        continue;
+                    }
+                    
+                    parent[index] = layer[i];
+                    if (grid[neighbor.y][neighbor.x] === 1) {
+                        cost[index] = cost[layer[i]] + 1;
+                        nextLayer.push(index);
+                    } else {
+                        cost[index] = cost[layer[i]];
+                        layer.push(index);
+                        if (!reachable[index]) {
+                            target = index;
+                            break;
+                        }
+                    }
+                }
+            }
+            
+            layer = nextLayer;
+        }
+        
+        if (target === -1) break; // Cannot happen while the border is the only uncarvable wall
+        
+        // Carve the walls on the way back to the start region
+        for (let index = target; index !== -1 && !reachable[index]; index = parent[index]) {
+            const x = index % GRID_WIDTH;
+            const y = Math.floor(index / GRID_WIDTH);
+            if (grid[y][x] === 1) {
+                grid[y][x] = 0;
+                carvedWalls++;
+            }
+        }
+    }
+    
+    return carvedWalls;
+}
+
+// Final check on the finished board. Everything should already be connected, but any dot,
+// pellet or bonus still stranded is removed so totalDots only counts dots that can be eaten.
+function validateLevel(startX, startY) {
+    const reachable = findReachableCells(startX, startY);
+    const report = {
+        totalDots: 0,
+        removedItems: 0,
+        unreachablePellets: 0,
+        enemySpawnReachable: Boolean(reachable[cellIndex(GRID_WIDTH - 2, GRID_HEIGHT - 2)])
+    };
+    
+    for (let y = 1; y < GRID_HEIGHT - 1; y++) {
+        for (let x = 1; x < GRID_WIDTH - 1; x++) {
+            const item = items[y][x];
+            if (item === 0) continue;
+            
+            if (!reachable[cellIndex(x, y)]) {
+                if (item === 3) report.unreachablePellets++;
+                items[y][x] = 0;
+                report.removedItems++;
+            } else if (item === 2) {
+                report.totalDots++;
+            }
+        }
+    }
+    
+    if (!report.enemySpawnReachable || report.removedItems > 0) {
+        console.warn('Level validation had to fix an unreachable layout', report);
+    }
+    return report;
+}
+
+// Hand-authored levels, loaded in place of generateLevel output. JSON format:
+//   {
+//     "format": "roguelike-pacman-level",
+//     "version": 3,
+//     "name": "Challenge 1",                 optional label
+//     "theme": "fortress",                   optional, one of LEVEL_THEMES (default classic)
+//     "width": 30, "height": 20,             board size, 8x8 up to 60x40
+//     "tiles": ["111...111", ...],           terrain, one string per row, one base-36 code per cell:
+//                                            0 floor, 1 wall, 4 teleporter, 6 safe zone, 7 mud,
+//                                            8 speed pad, 9/a/b/c one-way door up/right/down/left
+//     "items": ["000...000", ...],           pickups on top of the terrain, same size as tiles:
+//                                            0 nothing, 2 dot, 3 power pellet, 5 bonus
+//     "playerSpawn": { "x": 1, "y": 1 },
+//     "enemies": [{ "x": 28, "y": 18, "archetype": "hunter" }, ...]   up to MAX_ENEMIES; each names an
+//                                            archetype, a behavior, or both (the behavior then
+//                                            replaces the archetype's usual mix)
+//   }
+// The border must be solid wall, spawns must be open cells, and every dot, pellet, bonus and
+// enemy spawn must be reachable from the player spawn. At least one dot is required.
+// Teleporter tiles pair up in reading order (left to right, top to bottom), so there must be an
+// even number of them. Items can't sit on walls or teleporters. There is no enemy home: each
+// enemy is released from its own spawn in list order, and returns there when eaten.
+// Versions 1 and 2 had no items rows: dots, pellets and bonuses were tile codes 2, 3 and 5 in
+// the tiles rows, and are split out onto the item layer when loaded.
+const LEVEL_FORMAT = 'roguelike-pacman-level';
+const LEVEL_FORMAT_VERSION = 3;
+const MAX_TILE = 12;
+
+function decodeLevelTiles(rows) {
+    return rows.map(row => Array.from(row, code => parseInt(code, 36)));
+}
+
+function encodeLevelTiles(cells) {
+    return cells.map(row => row.map(tile => tile.toString(36)).join(''));
+}
+
+// Terrain and item layers of a structurally valid level file
+function decodeLevelLayers(data) {
+    const tiles = decodeLevelTiles(data.tiles);
+    if (data.version >= 3) {
+        return { terrain: tiles, items: decodeLevelTiles(data.items) };
+    }
+    return {
+        terrain: tiles.map(row => row.map(tile => ITEM_TILES.includes(tile) ? 0 : tile)),
+        items: tiles.map(row => row.map(tile => ITEM_TILES.includes(tile) ? tile : 0))
+    };
+}
+
+// Problems that stop a level from loading (empty when valid) plus a summary of a valid board
+function validateCustomLevel(data) {
+    const errors = [];
+    if (!data || data.format !== LEVEL_FORMAT) return { errors: ['Not a level file'], report: null };
+    if (![1, 2, LEVEL_FORMAT_VERSION].includes(data.version)) return { errors: [`Unsupported level version ${data.version}`], report: null };
+    const { width, height } = data;
+    if (!isValidGridSize(width, height)) {
+        return { errors: [`Board must be between ${MIN_GRID_SIZE.width}x${MIN_GRID_SIZE.height} and ${MAX_GRID_SIZE.width}x${MAX_GRID_SIZE.height}`], report: null };
+    }
+    
+    const rowsOk = (rows, pattern) => Array.isArray(rows) && rows.length === height &&
+        rows.every(row => typeof row === 'string' && row.length === width && pattern.test(row));
+    const layered = data.version >= 3;
+    if (!rowsOk(data.tiles, layered ? /^[0146-9a-c]*$/ : /^[0-9a-c]*$/)) {
+        return { errors: [`Tiles must be ${height} rows of ${width} terrain codes`], report: null };
+    }
+    if (layered && !rowsOk(data.items, /^[0235]*$/)) {
+        return { errors: [`Items must be ${height} rows of ${width} item codes 0, 2, 3 or 5`], report: null };
+    }
+    
+    const { terrain: cells, items: itemCells } = decodeLevelLayers(data);
+    const isOpenCell = (spawn) => spawn && Number.isInteger(spawn.x) && Number.isInteger(spawn.y) &&
+        spawn.x > 0 && spawn.x < width - 1 && spawn.y > 0 && spawn.y < height - 1 &&
+        cells[spawn.y][spawn.x] !== 1;
+    
+    const borderOk = cells.every((row, y) => row.every((tile, x) =>
+        tile === 1 || (x > 0 && x < width - 1 && y > 0 && y < height - 1)));
+    if (!borderOk) errors.push('The border must be solid wall');
+    const teleporterCount = cells.reduce((count, row) => count + row.filter(tile => tile === 4).length, 0);
+    if (teleporterCount % 2 !== 0) errors.push('Teleporters must come in pairs');
+    const misplacedItems = itemCells.reduce((count, row, y) =>
+        count + row.filter((item, x) => item !== 0 && !canHoldItem(x, y, cells)).length, 0);
+    if (misplacedItems > 0) errors.push(`${misplacedItems} items sit on walls or teleporters`);
+    if (data.theme !== undefined && !LEVEL_THEMES.includes(data.theme)) errors.push(`Unknown theme ${data.theme}`);
+    if (!isOpenCell(data.playerSpawn)) {
+        errors.push('Player spawn must be an open cell inside the border');
+        return { errors, report: null };
+    }
+    if (!Array.isArray(data.enemies) || data.enemies.length > MAX_ENEMIES) {
+        errors.push(`Levels need a list of at most ${MAX_ENEMIES} enemies`);
+        return { errors, report: null };
+    }
+    
+    const reachable = findReachableCells(data.playerSpawn.x, data.playerSpawn.y, cells);
+    const report = { totalDots: 0, unreachableItems: 0, unreachableEnemies: 0 };
+    
+    data.enemies.forEach((enemy, index) => {
+        if (!isOpenCell(enemy)) {
+            errors.push(`Enemy ${index + 1} must spawn on an open cell inside the border`);
+        } else if (enemy.archetype === undefined && enemy.behavior === undefined) {
+            errors.push(`Enemy ${index + 1} needs an archetype or a behavior`);
+        } else if (enemy.archetype !== undefined && !enemyArchetypes[enemy.archetype]) {
+            errors.push(`Enemy ${index + 1} has unknown archetype ${enemy.archetype}`);
+        } else if (enemy.behavior !== undefined && !enemyBehaviors[enemy.behavior]) {
+            errors.push(`Enemy ${index + 1} has unknown behavior ${enemy.behavior}`);
+        } else if (!reachable[enemy.y * width + enemy.x]) {
+            report.unreachableEnemies++;
+        }
+    });
+    
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const item = itemCells[y][x];
+            if (item === 0) continue;
+            
+            if (!reachable[y * width + x]) {
+                report.unreachableItems++;
+            } else if (item === 2) {
+                report.totalDots++;
+            }
+        }
+    }
+    
+    if (report.unreachableItems > 0) errors.push(`${report.unreachableItems} dots/pellets/bonuses can't be reached from the player spawn`);
+    if (report.unreachableEnemies > 0) errors.push(`${report.unreachableEnemies} enemy spawns can't reach the player`);
+    if (report.totalDots === 0) errors.push('Levels need at least one dot');
+    
+    return { errors, report };
+}
+
+// Installs a hand-authored board as the current level. Enemy AI and personality timers still
+// draw from the run's seeded streams, so custom levels replay like generated ones.
+function loadCustomLevel(data) {
+    const { errors, report } = validateCustomLevel(data);
+    if (errors.length > 0) {
+        console.warn('Ignoring invalid custom level', errors);
+        return false;
+    }
+    
+    const seed = deriveSeed(game.runSeed, game.level);
+    game.levelSeed = seed;
+    levelRng = createRng(seed);
+    aiRng = createRng(deriveSeed(seed, 'ai'));
+    
+    setGridSize(data.width, data.height);
+    const layers = decodeLevelLayers(data);
+    grid = layers.terrain;
+    items = layers.items;
+    setTeleporters(pairTeleporterCells(grid));
+    currentTheme = data.theme || LEVEL_THEMES[0];
+    game.totalDots = report.totalDots;
+    game.playerSpawn = { x: data.playerSpawn.x, y: data.playerSpawn.y };
+    game.enemyHome = null;
+    snapEntityTo(player, data.playerSpawn.x, data.playerSpawn.y);
+    
+    enemies = data.enemies.map((spawn, index) =>
+        createEnemy(index, spawn.x, spawn.y, spawn.archetype || null, game.level, spawn.behavior || null));
+    boss = null;
+    resetEnemyPhase(game.level);
+    updateBalancedDifficulty(game.level);
+    
+    emitGameEvent('levelGenerated', { level: game.level, theme: currentTheme, seed, report, custom: true });
+    return true;
+}
+
+function placePowerPellets(level) {
+    const powerPellets = Math.min(6, Math.floor(level / 2) + 2);
+    const home = getEnemyHome();
+    const corners = [
+        {x: 2, y: 2}, {x: GRID_WIDTH-3, y: 2},
+        {x: 2, y: GRID_HEIGHT-3}, {x: home.x - 3, y: GRID_HEIGHT-3}  // Left of the enemy home
+    ];
+    
+    // Place some in corners for strategic gameplay
+    for (let i = 0; i < Math.min(powerPellets, 4); i++) {
+        const corner = corners[i];
+        if (canHoldItem(corner.x, corner.y) && items[corner.y][corner.x] === 0) {
+            items[corner.y][corner.x] = 3;
+        }
+    }
+    
+    // Place remaining randomly but strategically
+    let remaining = powerPellets - 4;
+    while (remaining > 0) {
+        let x = levelRng.int(GRID_WIDTH - 4) + 2;
+        let y = levelRng.int(GRID_HEIGHT - 4) + 2;
+        if (canHoldItem(x, y) && items[y][x] === 0 && !isEnemyHomeArea(x, y)) {
+            items[y][x] = 3;
+            remaining--;
+        }
+    }
+}
+
+// Counted later by validateLevel, once every dot is known to be reachable
+function placeDots() {
+    const startingCells = new Set(getStartingAreaCells().map(cell => cellIndex(cell.x, cell.y)));
+    
+    for (let y = 1; y < GRID_HEIGHT - 1; y++) {
+        for (let x = 1; x < GRID_WIDTH - 1; x++) {
+            if (canHoldItem(x, y) && items[y][x] === 0 && !startingCells.has(cellIndex(x, y))) {
+                items[y][x] = 2; // dot
+            }
+        }
+    }
+}
+
+function getStartingAreaCells() {
+    const home = getEnemyHome();
+    return [
+        // Player starting area
+        {x: 1, y: 1}, {x: 2, y: 1}, {x: 1, y: 2},
+        
+        // Enemy home, its door and the cell in front of the door
+        ...getEnemyHomeCells(home), home.door, {x: home.door.x, y: home.door.y - 1}
+    ];
+}
+
+// Runs before connectivity repair so both spawns are open floor that gets joined up
+function clearStartingAreas() {
+    carveEnemyHome();
+    getStartingAreaCells().forEach(cell => {
+        grid[cell.y][cell.x] = 0;
+    });
+}
+
+// Enemy home ("ghost house"): a walled pen in the bottom-right corner with a door in its top wall.
+// Enemies start inside and leave one at a time; eaten enemies' eyes path back to it to respawn.
+const ENEMY_HOME_WIDTH = 4;
+const ENEMY_HOME_HEIGHT = 2;
+
+function getEnemyHome() {
+    const x = GRID_WIDTH - 1 - ENEMY_HOME_WIDTH;
+    const y = GRID_HEIGHT - 1 - ENEMY_HOME_HEIGHT;
+    return { x, y, width: ENEMY_HOME_WIDTH, height: ENEMY_HOME_HEIGHT, door: { x: x + ENEMY_HOME_WIDTH - 2, y: y - 1 } };
+}
+
+// Interior cells, nearest the door first so the first enemy out doesn't have to squeeze past the rest
+function getEnemyHomeCells(home) {
+    const cells = [];
+    for (let y = home.y; y < home.y + home.height; y++) {
+        for (let x = home.x; x < home.x + home.width; x++) {
+            cells.push({ x, y });
+        }
+    }
+    const doorDistance = (cell) => Math.abs(cell.x - home.door.x) + Math.abs(cell.y - home.door.y);
+    return cells.sort((a, b) => doorDistance(a) - doorDistance(b));
+}
+
+// The home with its walls and the row in front of the door - kept clear of teleporters and pellets
+function isEnemyHomeArea(x, y) {
+    const home = getEnemyHome();
+    return x >= home.x - 1 && y >= home.door.y - 1;
+}
+
+// Walls in the whole area, dropping any bonus a room left there; clearStartingAreas then opens
+// the interior, the door and its approach
+function carveEnemyHome() {
+    const home = getEnemyHome();
+    for (let y = home.door.y; y < home.y + home.height; y++) {
+        for (let x = home.x - 1; x < home.x + home.width; x++) {
+            grid[y][x] = 1;
+            items[y][x] = 0;
+        }
+    }
+}
+
+const MAX_ENEMIES = 8;
+const ENEMY_COLORS = ['#ff4444', '#44ff44', '#4444ff', '#ffff44', '#ff44ff', '#44ffff', '#ff8844', '#8844ff'];
+
+// Enemy behaviors, registered by name. `move(enemy, params)` picks the next step while chasing,
+// `params` are its tunables (archetypes can override them) and `scatterCorner` is where it retreats
+// during scatter phases (0 = left/top, 1 = right/bottom). `squad` behaviors play their planSquad
+// intercept cell their own way; every other behavior heads straight for it. ENEMY_BEHAVIORS lists the names.
+const enemyBehaviors = {};
+const ENEMY_BEHAVIORS = [];
+
+function registerEnemyBehavior(name, definition) {
+    if (enemyBehaviors[name] || !definition || typeof definition.move !== 'function') {
+        console.warn(`Ignoring invalid or duplicate enemy behavior ${name}`);
+        return false;
+    }
+    enemyBehaviors[name] = { params: {}, scatterCorner: { x: 1, y: 0 }, ...definition };
+    ENEMY_BEHAVIORS.push(name);
+    return true;
+}
+
+registerEnemyBehavior('aggressive', { move: getAggressiveMove, scatterCorner: { x: 1, y: 0 } });
+registerEnemyBehavior('patrol', { move: getPatrolMove, scatterCorner: { x: 0, y: 1 }, params: { searchCycle: 120, searchTicks: 60 } });
+registerEnemyBehavior('ambush', { move: getAmbushMove, scatterCorner: { x: 0, y: 0 }, params: { lead: 3 } });
+registerEnemyBehavior('random', { move: getRandomMove, scatterCorner: { x: 1, y: 1 } });
+registerEnemyBehavior('coordinator', { move: getCoordinatorMove, scatterCorner: { x: 1, y: 0 }, squad: true });
+registerEnemyBehavior('trapper', { move: getTrapperMove, scatterCorner: { x: 0, y: 1 }, squad: true, params: { lookahead: 5 } });
+
+// What an archetype does while scared
+const SCARED_RESPONSES = {
+    flee: getEnhancedRunAwayMove,
+    scatter: getScatterMove,
+    wander: getRandomMove
+};
+
+// Enemy archetypes: the kinds of enemy a level can field, defined as data. `behaviors` is a weighted
+// mix (one is drawn when the enemy spawns), `speed` multiplies the level's enemy move interval
+// (below 1 is faster), `scared` is a SCARED_RESPONSES key, `params` override behavior tunables,
+// and prediction grows by the given amount per level.
+const ARCHETYPE_DEFAULTS = { label: '', color: null, behaviors: {}, speed: 1, scared: 'flee', params: {}, prediction: 0.05 };
+const enemyArchetypes = {};
+
+function registerEnemyArchetype(id, definition) {
+    const archetype = { ...ARCHETYPE_DEFAULTS, ...definition };
+    const behaviorNames = Object.keys(archetype.behaviors);
+    if (enemyArchetypes[id] || behaviorNames.length === 0 || !behaviorNames.every(name => enemyBehaviors[name]) ||
+        !SCARED_RESPONSES[archetype.scared]) {
+        console.warn(`Ignoring invalid or duplicate enemy archetype ${id}`);
+        return false;
+    }
+    enemyArchetypes[id] = archetype;
+    return true;
+}
+
+registerEnemyArchetype('hunter', { label: 'Hunter', color: '#ff4444', behaviors: { aggressive: 1 } });
+registerEnemyArchetype('warden', { label: 'Warden', color: '#44ff44', behaviors: { patrol: 1 } });
+registerEnemyArchetype('stalker', { label: 'Stalker', color: '#4444ff', behaviors: { ambush: 1 } });
+registerEnemyArchetype('drifter', { label: 'Drifter', color: '#ffff44', behaviors: { random: 1 } });
+registerEnemyArchetype('tactician', { label: 'Tactician', color: '#ff44ff', behaviors: { coordinator: 1 } });
+registerEnemyArchetype('trapper', { label: 'Trapper', color: '#44ffff', behaviors: { trapper: 1 } });
+registerEnemyArchetype('phantom', {
+    label: 'Phantom', color: '#ff8844', behaviors: { ambush: 2, random: 1 }, speed: 0.85, scared: 'scatter',
+    params: { lead: 5 }, prediction: 0.08
+});
+registerEnemyArchetype('brute', {
+    label: 'Brute', color: '#8844ff', behaviors: { aggressive: 1 }, speed: 1.3, scared: 'wander'
+});
+
+// Archetypes fielded by generated levels, in spawn order and cycled when there are more enemies
+const LEVEL_ROSTERS = [
+    { fromLevel: 1, roster: ['hunter', 'warden', 'stalker', 'drifter', 'tactician', 'trapper'] },
+    { fromLevel: 8, roster: ['hunter', 'warden', 'stalker', 'phantom', 'tactician', 'trapper', 'brute'] },
+    { fromLevel: 13, roster: ['hunter', 'phantom', 'stalker', 'brute', 'tactician', 'trapper', 'warden', 'phantom'] }
+];
+
+function getRosterForLevel(level) {
+    let roster = LEVEL_ROSTERS[0].roster;
+    LEVEL_ROSTERS.forEach(entry => {
+        if (level >= entry.fromLevel) roster = entry.roster;
+    });
+    return roster;
+}
+
+// Spawns on hand-authored levels may give a plain behavior without an archetype
+function getEnemyArchetype(enemy) {
+    return enemyArchetypes[enemy.archetype] || ARCHETYPE_DEFAULTS;
+}
+
+function pickArchetypeBehavior(archetype) {
+    const names = Object.keys(archetype.behaviors);
+    const totalWeight = names.reduce((sum, name) => sum + archetype.behaviors[name], 0);
+    let roll = levelRng.next() * totalWeight;
+    for (const name of names) {
+        roll -= archetype.behaviors[name];
+        if (roll < 0) return name;
+    }
+    return names[names.length - 1];
+}
+
+// Enemies leave their spawn one after another, closer together on later levels
+const ENEMY_RELEASE_INTERVAL = 3 * TICK_RATE;
+const MIN_ENEMY_RELEASE_INTERVAL = TICK_RATE;
+const EATEN_RELEASE_TICKS = TICK_RATE;  // Wait at home after the eyes get back, before heading out again
+const EYES_MOVE_INTERVAL = 4;
+const GHOST_CHAIN_SCORES = [200, 400, 800, 1600];  // 1st, 2nd, 3rd, 4th+ ghost eaten on one power pellet
+
+function getEnemyReleaseInterval(level) {
+    return Math.max(MIN_ENEMY_RELEASE_INTERVAL, ENEMY_RELEASE_INTERVAL - (level - 1) * 10);
+}
+
+// Eaten enemies turn into eyes that path back to their spawn cell, then respawn there.
+// archetypeId may be null when a behavior is given; a given behavior overrides the archetype's mix.
+function createEnemy(id, x, y, archetypeId, level, behavior = null) {
+    const archetype = enemyArchetypes[archetypeId] || ARCHETYPE_DEFAULTS;
+    return {
+        x: x,
+        y: y,
+        prevX: x,
+        prevY: y,
+        spawn: { x, y },
+        moveTimer: 0,
+        moveInterval: game.enemySpeed,
+        teleportCooldown: 0,
+        effects: {},
+        color: archetype.color || ENEMY_COLORS[id % ENEMY_COLORS.length],
+        scared: false,
+        scaredTimer: 0,
+        eaten: false,
+        releaseTimer: id * getEnemyReleaseInterval(level),
+        reversePending: false,  // Turn around on the next move (set on phase changes)
+        archetype: archetypeId,
+        behavior: behavior || pickArchetypeBehavior(archetype),
+        patrolTarget: null,
+        squadTarget: null,  // Intercept cell from planSquad, refreshed every tick
+        lastDirection: {x: 0, y: 0},
+        personalityTimer: levelRng.next() * 60,
+        smartMode: false,
+        seesPlayer: false,
+        lastSeen: null,  // { x, y, age, checked } where the player was last seen or heard, until forgotten
+        predictionAccuracy: Math.min(0.8, level * archetype.prediction), // Better prediction at higher levels
+        id: id
+    };
+}
+
+function generateAdvancedEnemies(level) {
+    enemies = [];
+    let enemyCount = isBossLevel(level) ? BOSS_LEVEL_ENEMIES : Math.min(MAX_ENEMIES, Math.floor(level / 2) + 2); // Cap enemy count
+    const homeCells = getEnemyHomeCells(getEnemyHome());
+    const roster = getRosterForLevel(level);
+    
+    for (let i = 0; i < enemyCount; i++) {
+        const cell = homeCells[i % homeCells.length];
+        enemies.push(createEnemy(i, cell.x, cell.y, roster[i % roster.length], level));
+    }
+}
+
+// Enemies alternate between scattering to their behavior's corner and chasing with their behavior.
+// Durations are in seconds, alternating scatter and chase from a scatter; the chase after the last
+// entry lasts the rest of the level. A power pellet pauses the schedule for a frightened phase.
+// Every phase change turns enemies around, the player's cue that the rhythm has changed.
+const ENEMY_PHASE_SCHEDULES = [
+    { fromLevel: 1, durations: [7, 20, 7, 20, 5, 20, 5] },
+    { fromLevel: 2, durations: [7, 20, 7, 20, 5, 60, 1] },
+    { fromLevel: 5, durations: [5, 20, 5, 20, 5, 60, 1] }
+];
+
+function getPhaseDurationsForLevel(level) {
+    let schedule = ENEMY_PHASE_SCHEDULES[0];
+    ENEMY_PHASE_SCHEDULES.forEach(entry => {
+        if (level >= entry.fromLevel) schedule = entry;
+    });
+    return schedule.durations;
+}
+
+function resetEnemyPhase(level) {
+    game.enemyPhase = { mode: ENEMY_PHASES.SCATTER, step: 0, timer: getPhaseDurationsForLevel(level)[0] * TICK_RATE };
+}
+
+// One tick of the scatter/chase schedule. A timer of -1 is the final, endless chase.
+function updateEnemyPhase() {
+    if (game.powerPelletActive || game.enemyPhase.timer < 0) return;
+    
+    game.enemyPhase.timer--;
+    if (game.enemyPhase.timer > 0) return;
+    
+    const durations = getPhaseDurationsForLevel(game.level);
+    const step = game.enemyPhase.step + 1;
+    game.enemyPhase = {
+        mode: step % 2 === 0 ? ENEMY_PHASES.SCATTER : ENEMY_PHASES.CHASE,
+        step,
+        timer: step < durations.length ? durations[step] * TICK_RATE : -1
+    };
+    reverseEnemies();
+}
+
+// The phase enemies are in right now, with ticks left (-1 if it doesn't end)
+function getEnemyPhase() {
+    if (game.powerPelletActive) {
+        return { mode: ENEMY_PHASES.FRIGHTENED, remaining: game.powerPelletTimer };
+    }
+    return { mode: game.enemyPhase.mode, remaining: game.enemyPhase.timer };
+}
+
+// Enemies out and about turn around on their next move; eyes and enemies still at home don't
+function reverseEnemies() {
+    enemies.forEach(enemy => {
+        if (!enemy.eaten && enemy.releaseTimer === 0) {
+            enemy.reversePending = true;
+        }
+    });
+}
+
+function updateBalancedDifficulty(level) {
+    // More gradual and balanced difficulty scaling
+    game.difficulty = 1.0 + (level - 1) * 0.05; // Slower difficulty increase
+    
+    // Cap the speed increases to maintain playability
+    const speedReduction = Math.min(game.maxSpeedIncrease, Math.floor(level / 2));
+    game.enemySpeed = Math.max(8, game.baseEnemySpeed - speedReduction);
+    game.playerSpeed = Math.max(6, game.basePlayerSpeed - Math.floor(speedReduction * 0.6)); // Player speed reduces slower
+    
+    // Add strategic elements instead of just speed
+    if (level > 5) {
+        // Increase enemy coordination and smarter behaviors at higher levels
+        enemies.forEach(enemy => {
+            if (levelRng.next() < 0.1 * (level - 5)) {
+                enemy.smartMode = true; // Enhanced AI mode
+            }
+        });
+    }
+}
+
+// Improved maze generation using recursive division
+function divideChamber(x, y, width, height, complexity) {
+    if (width < 4 || height < 4) return;
+    
+    let horizontal = levelRng.next() < 0.5;
+    
+    if (horizontal) {
+        let wallY = y + 2 + levelRng.int(height - 3);
+        for (let wx = x; wx < x + width; wx++) {
+            grid[wallY][wx] = 1;
+        }
+        
+        // Create multiple holes for more interesting layouts
+        let holes = levelRng.next() < complexity ? 2 : 1;
+        for (let h = 0; h < holes; h++) {
+            let holeX = x + levelRng.int(width);
+            grid[wallY][holeX] = 0;
+        }
+        
+        if (levelRng.next() < complexity) {
+            divideChamber(x, y, width, wallY - y, complexity);
+            divideChamber(x, wallY + 1, width, height - (wallY - y) - 1, complexity);
+        }
+    } else {
+        let wallX = x + 2 + levelRng.int(width - 3);
+        for (let wy = y; wy < y + height; wy++) {
+            grid[wy][wallX] = 1;
+        }
+        
+        // Create multiple holes for more interesting layouts
+        let holes = levelRng.next() < complexity ? 2 : 1;
+        for (let h = 0; h < holes; h++) {
+            let holeY = y + levelRng.int(height);
+            grid[holeY][wallX] = 0;
+        }
+        
+        if (levelRng.next() < complexity) {
+            divideChamber(x, y, wallX - x, height, complexity);
+            divideChamber(wallX + 1, y, width - (wallX - x) - 1, height, complexity);
+        }
+    }
+}
+
+function generateThemedMaze(level, theme) {
+    const complexity = Math.min(0.8, 0.3 + level * 0.03); // Slower complexity increase
+    
+    switch (theme) {
+        case 'classic':
+            divideChamber(1, 1, GRID_WIDTH - 2, GRID_HEIGHT - 2, complexity);
+            break;
+        case 'fortress':
+            generateFortressLayout(complexity);
+            break;
+        case 'labyrinth':
+            generateLabyrinthLayout(complexity);
+            break;
+        case 'chambers':
+            generateChamberLayout(complexity);
+            break;
+        case 'spiral':
+            generateSpiralLayout(complexity);
+            break;
+    }
+    
+    // Add some random walls for variety but fewer than before
+    const extraWalls = Math.max(0, Math.floor(level / 5) - 2);
+    for (let i = 0; i < extraWalls; i++) {
+        let x = levelRng.int(GRID_WIDTH - 4) + 2;
+        let y = levelRng.int(GRID_HEIGHT - 4) + 2;
+        if (grid[y][x] === 0) {
+            grid[y][x] = 1;
+        }
+    }
+}
+
+function generateFortressLayout(complexity) {
+    // Create concentric rectangles
+    const layers = Math.floor(Math.min(GRID_WIDTH, GRID_HEIGHT) / 6);
+    for (let layer = 0; layer < layers; layer++) {
+        const offset = layer * 3 + 2;
+        if (offset >= GRID_WIDTH - 2 || offset >= GRID_HEIGHT - 2) break;
+        
+        // Draw fortress walls
+        for (let x = offset; x < GRID_WIDTH - offset; x++) {
+            grid[offset][x] = 1;
+            grid[GRID_HEIGHT - offset - 1][x] = 1;
+        }
+        for (let y = offset; y < GRID_HEIGHT - offset; y++) {
+            grid[y][offset] = 1;
+            grid[y][GRID_WIDTH - offset - 1] = 1;
+        }
+        
+        // Add gates
+        const gateCount = Math.floor(complexity * 4) + 1;
+        for (let g = 0; g < gateCount; g++) {
+            const side = levelRng.int(4);
+            switch (side) {
+                case 0: grid[offset][offset + levelRng.int(GRID_WIDTH - 2 * offset)] = 0; break;
+                case 1: grid[GRID_HEIGHT - offset - 1][offset + levelRng.int(GRID_WIDTH - 2 * offset)] = 0; break;
+                case 2: grid[offset + levelRng.int(GRID_HEIGHT - 2 * offset)][offset] = 0; break;
+                case 3: grid[offset + levelRng.int(GRID_HEIGHT - 2 * offset)][GRID_WIDTH - offset - 1] = 0; break;
+            }
+        }
+    }
+}
+
+function generateLabyrinthLayout(complexity) {
+    // Create a traditional labyrinth with winding paths
+    for (let y = 2; y < GRID_HEIGHT - 2; y += 2) {
+        for (let x = 2; x < GRID_WIDTH - 2; x += 2) {
+            grid[y][x] = 1;
+            
+            // Add walls in random directions
+            if (levelRng.next() < complexity) {
+                const directions = [{x: 0, y: 1}, {x: 1, y: 0}, {x: 0, y: -1}, {x: -1, y: 0}];
+                const dir = directions[levelRng.int(directions.length)];
+                const newX = x + dir.x;
+                const newY = y + dir.y;
+                if (newX > 0 && newX < GRID_WIDTH - 1 && newY > 0 && newY < GRID_HEIGHT - 1) {
+                    grid[newY][newX] = 1;
+                }
+            }
+        }
+    }
+}
+
+function generateChamberLayout(complexity) {
+    // Create distinct chambers connected by corridors
+    const chamberCount = Math.floor(complexity * 6) + 3;
+    const chambers = [];
+    
+    // Generate chambers
+    for (let i = 0; i < chamberCount; i++) {
+        const width = levelRng.int(5) + 3;
+        const height = levelRng.int(4) + 3;
+        const x = levelRng.int(GRID_WIDTH - width - 2) + 1;
+        const y = levelRng.int(GRID_HEIGHT - height - 2) + 1;
+        
+        chambers.push({x, y, width, height});
+        
+        // Draw chamber walls
+        for (let cy = y; cy < y + height; cy++) {
+            for (let cx = x; cx < x + width; cx++) {
+                if (cx === x || cx === x + width - 1 || cy === y || cy === y + height - 1) {
+                    grid[cy][cx] = 1;
+                }
+            }
+        }
+        
+        // Add entrance
+        const side = levelRng.int(4);
+        switch (side) {
+            case 0: grid[y][x + Math.floor(width / 2)] = 0; break;
+            case 1: grid[y + height - 1][x + Math.floor(width / 2)] = 0; break;
+            case 2: grid[y + Math.floor(height / 2)][x] = 0; break;
+            case 3: grid[y + Math.floor(height / 2)][x + width - 1] = 0; break;
+        }
+    }
+    
+    // Connect chambers with corridors
+    for (let i = 0; i < chambers.length - 1; i++) {
+        const chamber1 = chambers[i];
+        const chamber2 = chambers[i + 1];
+        createCorridor(
+            chamber1.x + Math.floor(chamber1.width / 2),
+            chamber1.y + Math.floor(chamber1.height / 2),
+            chamber2.x + Math.floor(chamber2.width / 2),
+            chamber2.y + Math.floor(chamber2.height / 2)
+        );
+    }
+}
+
+function generateSpiralLayout(complexity) {
+    const centerX = Math.floor(GRID_WIDTH / 2);
+    const centerY = Math.floor(GRID_HEIGHT / 2);
+    const maxRadius = Math.min(centerX, centerY) - 2;
+    
+    let x = centerX;
+    let y = centerY;
+    let dx = 0;
+    let dy = -1;
+    
+    for (let i = 0; i < maxRadius * maxRadius; i++) {
+        if (x >= 1 && x < GRID_WIDTH - 1 && y >= 1 && y < GRID_HEIGHT - 1) {
+            if (levelRng.next() < complexity) {
+                grid[y][x] = 1;
+            }
+        }
+        
+        if (x === centerX + dx && y === centerY + dy || 
+            x === centerX - dx && y === centerY + dy ||
+            x === centerX - dx && y === centerY - dy ||
+            x === centerX + dx && y === centerY - dy) {
+            let temp = dx;
+            dx = -dy;
+            dy = temp;
+        }
+        
+        x += dx;
+        y += dy;
+    }
+}
+
+// Boss arena: a ring wall around an open floor with 2x2 pillars, or a field of pillars, both with
+// passages at least two cells wide so the boss can get everywhere. The centre is left open as
+// the boss's lair.
+function generateBossArena() {
+    const centerX = Math.floor(GRID_WIDTH / 2);
+    const centerY = Math.floor(GRID_HEIGHT / 2);
+    const inLair = (x, y) => Math.abs(x - centerX) <= 3 && Math.abs(y - centerY) <= 2;
+    const addPillar = (x, y) => {
+        if (inLair(x, y) || inLair(x + 1, y) || inLair(x, y + 1) || inLair(x + 1, y + 1)) return;
+        paintPatch(x, y, 2, 2, 1);
+    };
+    
+    if (levelRng.next() < 0.5) {
+        // Ring three cells in from the border, with a two-cell gap in the middle of each side
+        const inset = 3;
+        for (let x = inset; x < GRID_WIDTH - inset; x++) {
+            if (Math.abs(x - centerX) > 1) {
+                grid[inset][x] = 1;
+                grid[GRID_HEIGHT - inset - 1][x] = 1;
+            }
+        }
+        for (let y = inset; y < GRID_HEIGHT - inset; y++) {
+            if (Math.abs(y - centerY) > 1) {
+                grid[y][inset] = 1;
+                grid[y][GRID_WIDTH - inset - 1] = 1;
+            }
+        }
+        
+        // A pillar in each quarter of the inside, nudged a little either way
+        [[0.3, 0.35], [0.7, 0.35], [0.3, 0.65], [0.7, 0.65]].forEach(([fx, fy]) => {
+            addPillar(Math.floor(GRID_WIDTH * fx) - levelRng.int(2), Math.floor(GRID_HEIGHT * fy) - levelRng.int(2));
+        });
+    } else {
+        // Pillars on a loose lattice, a few left out at random
+        for (let y = 3; y + 1 < GRID_HEIGHT - 2; y += 4) {
+            for (let x = 3; x + 1 < GRID_WIDTH - 2; x += 5) {
+                if (levelRng.next() < 0.75) addPillar(x, y);
+            }
+        }
+    }
+}
+
+function createCorridor(x1, y1, x2, y2) {
+    let currentX = x1;
+    let currentY = y1;
+    
+    // Move horizontally first
+    while (currentX !== x2) {
+        grid[currentY][currentX] = 0;
+        currentX += currentX < x2 ? 1 : -1;
+    }
+    
+    // Then move vertically
+    while (currentY !== y2) {
+        grid[currentY][currentX] = 0;
+        currentY += currentY < y2 ? 1 : -1;
+    }
+}
+
+function addSpecialFeatures(level) {
+    // Add special level features every few levels, or every level once unlocked
+    if (level % 3 === 0) {
+        // Add bonus areas
+        addBonusAreas();
+    }
+    
+    if (level % 7 === 0 || game.unlocks.safeZones) {
+        // Add safe zones
+        addSafeZones();
+    }
+    
+    if (level % 4 === 0) {
+        addMudPatches();
+    }
+    
+    if (level >= 4 && level % 2 === 0) {
+        addSpeedPads();
+    }
+    
+    // Teleporters go in last so clearing a bonus room can't break up a pair
+    if (level % 5 === 0 || game.unlocks.teleporters) {
+        addTeleporters();
+    }
+}
+
+function addTeleporters() {
+    // Add 2 teleporter pairs
+    const pairs = [];
+    for (let i = 0; i < 2; i++) {
+        let x1, y1, x2, y2;
+        
+        // Find two empty spots - open floor with no item, since teleporters can't hold one
+        do {
+            x1 = levelRng.int(GRID_WIDTH - 4) + 2;
+            y1 = levelRng.int(GRID_HEIGHT - 4) + 2;
+        } while (grid[y1][x1] !== 0 || items[y1][x1] !== 0 || isEnemyHomeArea(x1, y1));
+        
+        do {
+            x2 = levelRng.int(GRID_WIDTH - 4) + 2;
+            y2 = levelRng.int(GRID_HEIGHT - 4) + 2;
+        } while (grid[y2][x2] !== 0 || items[y2][x2] !== 0 || isEnemyHomeArea(x2, y2) || (x2 === x1 && y2 === y1));
+        
+        grid[y1][x1] = 4;
+        grid[y2][x2] = 4;
+        pairs.push({ id: i, ends: [{ x: x1, y: y1 }, { x: x2, y: y2 }] });
+    }
+    setTeleporters(pairs);
+}
+
+function addBonusAreas() {
+    // Create small bonus rooms with extra dots
+    const roomCount = levelRng.int(2) + 1;
+    
+    for (let r = 0; r < roomCount; r++) {
+        const roomSize = 3;
+        let x = levelRng.int(GRID_WIDTH - roomSize - 2) + 1;
+        let y = levelRng.int(GRID_HEIGHT - roomSize - 2) + 1;
+        
+        // Clear the room
+        for (let ry = y; ry < y + roomSize; ry++) {
+            for (let rx = x; rx < x + roomSize; rx++) {
+                grid[ry][rx] = 0;
+            }
+        }
+        
+        // Special bonus dot in the middle
+        items[y + 1][x + 1] = 5;
+    }
+}
+
+// Covers the open cells of a rectangle with an area tile, leaving walls alone
+function paintPatch(x, y, width, height, tile) {
+    for (let py = y; py < y + height; py++) {
+        for (let px = x; px < x + width; px++) {
+            if (grid[py][px] === 0) {
+                grid[py][px] = tile;
+            }
+        }
+    }
+}
+
+function addSafeZones() {
+    // Add safe zone areas where enemies slow down and the player speeds up
+    const safeZoneCount = levelRng.int(3) + 1;
+    
+    for (let s = 0; s < safeZoneCount; s++) {
+        let x = levelRng.int(GRID_WIDTH - 6) + 3;
+        let y = levelRng.int(GRID_HEIGHT - 6) + 3;
+        paintPatch(x, y, levelRng.int(2) + 2, levelRng.int(2) + 2, 6);
+    }
+}
+
+function addMudPatches() {
+    // Mud slows everyone down while they wade through it
+    const patchCount = levelRng.int(2) + 2;
+    
+    for (let m = 0; m < patchCount; m++) {
+        let x = levelRng.int(GRID_WIDTH - 6) + 3;
+        let y = levelRng.int(GRID_HEIGHT - 6) + 3;
+        paintPatch(x, y, levelRng.int(3) + 2, levelRng.int(2) + 2, 7);
+    }
+}
+
+function addSpeedPads() {
+    const padCount = levelRng.int(3) + 3;
+    
+    for (let p = 0; p < padCount; p++) {
+        let x = levelRng.int(GRID_WIDTH - 4) + 2;
+        let y = levelRng.int(GRID_HEIGHT - 4) + 2;
+        if (grid[y][x] === 0) {
+            grid[y][x] = 8;
+        }
+    }
+}
+
+// One-way doors go on straight corridor cells, and only where the board stays fully traversable
+// both ways, so a door can lengthen a route but never trap anyone
+function addOneWayDoors(level) {
+    const doorCount = Math.min(4, Math.floor(level / 6) + 1);
+    const startingCells = new Set(getStartingAreaCells().map(cell => cellIndex(cell.x, cell.y)));
+    let placed = 0;
+    
+    for (let attempt = 0; attempt < 40 && placed < doorCount; attempt++) {
+        const x = levelRng.int(GRID_WIDTH - 4) + 2;
+        const y = levelRng.int(GRID_HEIGHT - 4) + 2;
+        if (grid[y][x] !== 0 || startingCells.has(cellIndex(x, y))) continue;
+        
+        const horizontal = grid[y][x-1] !== 1 && grid[y][x+1] !== 1 && grid[y-1][x] === 1 && grid[y+1][x] === 1;
+        const vertical = grid[y-1][x] !== 1 && grid[y+1][x] !== 1 && grid[y][x-1] === 1 && grid[y][x+1] === 1;
+        if (!horizontal && !vertical) continue;
+        
+        const tile = horizontal ? (levelRng.int(2) ? 10 : 12) : (levelRng.int(2) ? 9 : 11);
+        grid[y][x] = tile;
+        if (!isFullyTraversable()) {
+            grid[y][x] = 0;
+            continue;
+        }
+        placed++;
+    }
+    return placed;
+}
+
+// Every open cell can be reached from the player start and can get back to it
+function isFullyTraversable() {
+    const forward = findReachableCells(1, 1);
+    const backward = findReachableCells(1, 1, grid, true);
+    for (let y = 1; y < GRID_HEIGHT - 1; y++) {
+        for (let x = 1; x < GRID_WIDTH - 1; x++) {
+            const index = cellIndex(x, y);
+            if (grid[y][x] !== 1 && (!forward[index] || !backward[index])) return false;
+        }
+    }
+    return true;
+}
+
+function getCoordinatorMove(enemy) {
+    // Take up the squad's intercept cell; without one (or once there), chase or search alone
+    if (enemy.squadTarget) {
+        const move = getFieldMove(enemy, enemy.squadTarget.x, enemy.squadTarget.y);
+        if (move) {
+            return move;
+        }
+    }
+    
+    return getAggressiveMove(enemy);
+}
+
+function getTrapperMove(enemy, params = enemyBehaviors.trapper.params) {
+    // Head for the squad's chokepoint and hold it until the player shows up
+    if (enemy.squadTarget) {
+        const move = getFieldMove(enemy, enemy.squadTarget.x, enemy.squadTarget.y);
+        if (move || !enemy.seesPlayer) {
+            return move;
+        }
+    }
+    
+    // Can only read the player's heading while watching them
+    if (!enemy.seesPlayer) {
+        return getSearchMove(enemy);
+    }
+    
+    // Try to cut off player's escape routes
+    const playerDirection = player.direction;
+    if (playerDirection.x === 0 && playerDirection.y === 0) {
+        return getPatrolMove(enemy);
+    }
+    
+    // Predict where player will be and try to block their path
+    const futureX = player.x + playerDirection.x * params.lookahead;
+    const futureY = player.y + playerDirection.y * params.lookahead;
+    
+    // Find a position that blocks the predicted path
+    const blockPositions = [];
+    for (let i = 1; i <= params.lookahead; i++) {
+        const blockX = player.x + playerDirection.x * i;
+        const blockY = player.y + playerDirection.y * i;
+        if (blockX > 0 && blockX < GRID_WIDTH - 1 && 
+            blockY > 0 && blockY < GRID_HEIGHT - 1 &&
+            grid[blockY][blockX] !== 1) {
+            blockPositions.push({x: blockX, y: blockY});
+        }
+    }
+    
+    if (blockPositions.length > 0) {
+        const targetPos = blockPositions[aiRng.int(blockPositions.length)];
+        let path = findPath(enemy.x, enemy.y, targetPos.x, targetPos.y);
+        if (path && path.length > 0) {
+            let nextStep = path[0];
+            return {
+                x: nextStep.x - enemy.x,
+                y: nextStep.y - enemy.y
+            };
+        }
+    }
+    
+    return getAmbushMove(enemy);
+}
+
+// Input is injected: the source's readCommands() returns the commands issued since the
+// previous tick, oldest first. Every command that can change the simulation goes through
+// here so runs can be recorded and replayed:
+//   { type: 'direction', direction: 'up' | 'down' | 'left' | 'right' }
+//   { type: 'purchase', upgrade: 'speed' | 'lives' | 'multiplier' | 'pellet' }
+//   { type: 'continue' }  - leave the shop for the next level
+const DIRECTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+let inputSource = null;
+let inputBuffer = [];
+
+function setInputSource(source) {
+    inputSource = source;
+}
+
+function processCommands() {
+    const commands = replayPlayback ? readReplayCommands() :
+        (inputSource ? inputSource.readCommands() : []);
+    
+    commands.forEach(command => {
+        recordCommand(command);
+        applyCommand(command);
+    });
+}
+
+function applyCommand(command) {
+    switch (command.type) {
+        case 'direction':
+            if (!DIRECTIONS[command.direction] || game.state !== GAME_STATES.PLAYING) return;
+            
+            // Buffer inputs for smoother gameplay
+            inputBuffer.push(command.direction);
+            if (inputBuffer.length > 3) inputBuffer.shift();
+            
+            // Immediate direction change for responsiveness
+            player.direction = DIRECTIONS[command.direction];
+            break;
+        case 'purchase':
+            purchaseUpgrade(command.upgrade);
+            break;
+        case 'pickPerk':
+            pickPerk(command.perk);
+            break;
+        case 'continue':
+            if (game.state === GAME_STATES.SHOP) {
+                continueFromShop();
+            }
+            break;
+    }
+}
+
+function updatePlayer() {
+    if (player.teleportCooldown > 0) player.teleportCooldown--;
+    tickStatusEffects(player);
+    applyTileEffects(player, 'player', 'stand');
+    player.moveInterval = getEffectiveMoveInterval(player, game.playerSpeed);
+    
+    player.moveTimer++;
+    if (player.moveTimer >= player.moveInterval) {
+        player.moveTimer = 0;
+        player.prevX = player.x;
+        player.prevY = player.y;
+        
+        // Try buffered input for smoother controls
+        let targetDirection = player.direction;
+        for (let bufferedDirection of inputBuffer) {
+            let testDirection = DIRECTIONS[bufferedDirection];
+            if (canStep(player.x, player.y, testDirection.x, testDirection.y)) {
+                targetDirection = testDirection;
+                inputBuffer = inputBuffer.filter(name => name !== bufferedDirection);
+                break;
+            }
+        }
+        
+        let newX = player.x + targetDirection.x;
+        let newY = player.y + targetDirection.y;
+        
+        if (canStep(player.x, player.y, targetDirection.x, targetDirection.y)) {
+            player.x = newX;
+            player.y = newY;
+            player.direction = targetDirection;
+            
+            // Handle special tiles
+            handleSpecialTiles(newX, newY);
+            
+            // Collect dots with combo system
+            if (items[newY][newX] === 2) {
+                items[newY][newX] = 0;
+                
+                // Combo system for strategic play
+                if (game.tick - game.lastDotTick < modifyByPerks('comboWindow', COMBO_WINDOW_TICKS)) {
+                    game.comboCounter++;
+                } else {
+                    game.comboCounter = 1;
+                }
+                game.lastDotTick = game.tick;
+                
+                makeNoise(newX, newY, DOT_NOISE_RADIUS);
+                let comboBonus = Math.min(game.comboCounter, 10);
+                game.score += modifyByPerks('dotScore', 10 + comboBonus) * game.multiplier;
+                game.dotsCollected++;
+                
+                // On boss levels it's beating the boss that clears the board
+                if (game.dotsCollected >= game.totalDots && !boss) {
+                    nextLevel();
+                }
+            }
+            
+            // Collect power pellets
+            if (items[newY][newX] === 3) {
+                items[newY][newX] = 0;
+                makeNoise(newX, newY, PELLET_NOISE_RADIUS);
+                game.score += 50 * game.multiplier;
+                game.powerPelletActive = true;
+                // Longer duration at higher levels and with Power Boost upgrades
+                game.powerPelletDuration = 400 + game.level * 20 + game.pelletDurationBonus;
+                game.powerPelletTimer = game.powerPelletDuration;
+                game.ghostChain = 0;
+                reverseEnemies();
+                if (boss) boss.pelletsLeft--;
+                
+                // Eyes already on their way home stay eyes
+                enemies.forEach(enemy => {
+                    if (enemy.eaten) return;
+                    enemy.scared = true;
+                    enemy.scaredTimer = game.powerPelletTimer;
+                });
+            }
+            
+            // Special bonus dots
+            if (items[newY][newX] === 5) {
+                items[newY][newX] = 0;
+                game.score += 100 * game.multiplier;
+                game.lives++; // Bonus life for special dots
+            }
+        }
+    }
+}
+
+// Status effects: timed modifiers on the player or an enemy, kept per entity as
+// effects[id] = { remaining, stacks }. They count down in simulation ticks, so they stop while
+// paused and replay exactly. Reapplying an active effect follows its stacking rule:
+//   refresh - back to full duration
+//   stack   - one more stack (up to maxStacks), back to full duration
+const STATUS_EFFECTS = {
+    haven: {
+        label: 'Haven',
+        duration: 3 * TICK_RATE,
+        stacking: 'refresh',
+        moveInterval: (interval) => Math.max(4, interval - 2)
+    },
+    warded: {
+        label: 'Warded',
+        duration: 1,
+        stacking: 'refresh',
+        moveInterval: (interval) => interval * 1.8
+    },
+    mired: {
+        label: 'Mired',
+        duration: TICK_RATE / 2,
+        stacking: 'refresh',
+        moveInterval: (interval) => interval * 1.6
+    },
+    boosted: {
+        label: 'Speed Boost',
+        duration: 2 * TICK_RATE,
+        stacking: 'stack',
+        maxStacks: 3,
+        moveInterval: (interval, stacks) => interval * Math.pow(0.8, stacks)
+    }
+};
+
+// Effects tiles give the player and enemies. 'stand' effects are reapplied every tick spent on the
+// tile (so they last while inside an area and fade after leaving), 'enter' effects once per step onto it.
+const TILE_EFFECTS = {
+    6: { player: 'haven', enemy: 'warded', trigger: 'stand' },   // safe zone
+    7: { player: 'mired', enemy: 'mired', trigger: 'stand' },    // mud
+    8: { player: 'boosted', enemy: 'boosted', trigger: 'enter' } // speed pad
+};
+
+function applyStatusEffect(entity, id) {
+    const effect = STATUS_EFFECTS[id];
+    const active = entity.effects[id];
+    if (active && effect.stacking === 'stack') {
+        active.stacks = Math.min(effect.maxStacks, active.stacks + 1);
+        active.remaining = effect.duration;
+    } else {
+        entity.effects[id] = { remaining: effect.duration, stacks: 1 };
+    }
+}
+
+function tickStatusEffects(entity) {
+    Object.keys(entity.effects).forEach(id => {
+        entity.effects[id].remaining--;
+        if (entity.effects[id].remaining <= 0) {
+            delete entity.effects[id];
+        }
+    });
+}
+
+// role is 'player' or 'enemy'
+function applyTileEffects(entity, role, trigger) {
+    const tileEffect = TILE_EFFECTS[grid[entity.y][entity.x]];
+    if (tileEffect && tileEffect.trigger === trigger) {
+        applyStatusEffect(entity, tileEffect[role]);
+    }
+}
+
+// Ticks between moves once the entity's effects are applied to its base interval
+function getEffectiveMoveInterval(entity, interval) {
+    Object.keys(entity.effects).forEach(id => {
+        interval = STATUS_EFFECTS[id].moveInterval(interval, entity.effects[id].stacks);
+    });
+    return interval;
+}
+
+function handleSpecialTiles(x, y) {
+    // Handle teleporters
+    if (grid[y][x] === 4 && tryTeleport(player)) {
+        triggerPerks('teleport');
+        return;
+    }
+    
+    // Stepping into a safe zone from outside it, not moving around within one
+    if (grid[y][x] === 6 && grid[player.prevY][player.prevX] !== 6) {
+        triggerPerks('safeZone');
+    }
+    
+    applyTileEffects(player, 'player', 'enter');
+}
+
+// Jumps (teleports, respawns) skip render interpolation instead of sliding across the board
+function snapEntityTo(entity, x, y) {
+    entity.x = x;
+    entity.y = y;
+    entity.prevX = x;
+    entity.prevY = y;
+}
+
+// Squad planner. Every tick, every hunting enemy (released, not scared or eaten) gets a unique
+// intercept cell: the sighting itself for one of them, chokepoints on the player's escape routes
+// for the rest, handed out by solving the assignment on path distances so the squad as a whole
+// gets there fastest.
+const CHOKEPOINT_DEPTH = 10;  // Moves out from the player that count as escape routes
+const MIN_CHOKEPOINT_DISTANCE = 3;  // Any closer is just chasing
+const UNREACHABLE_COST = 10000;
+
+function planSquad() {
+    enemies.forEach(enemy => { enemy.squadTarget = null; });
+    const members = enemies.filter(enemy => isEnemyThreat(enemy) && enemy.releaseTimer === 0);
+    if (members.length === 0) return;
+    
+    // The squad shares what its members know: the freshest sighting among them
+    const sighting = members.reduce((best, enemy) =>
+        enemy.lastSeen && (!best || enemy.lastSeen.age < best.age) ? enemy.lastSeen : best, null);
+    if (!sighting) return;
+    
+    // On a tiny or boxed-in area there can be fewer routes than members; the rest get no cell
+    // (the padding columns) and hunt on their own
+    const targets = [{ x: sighting.x, y: sighting.y }, ...findChokepoints(sighting.x, sighting.y, members.length - 1)];
+    const costs = members.map(enemy => members.map((_, column) => {
+        if (column >= targets.length) return UNREACHABLE_COST;
+        const field = getDistanceField(targets[column].x, targets[column].y);
+        const distance = field ? field[cellIndex(enemy.x, enemy.y)] : -1;
+        return distance === -1 ? UNREACHABLE_COST : distance;
+    }));
+    const assignment = solveAssignment(costs);
+    members.forEach((enemy, i) => {
+        enemy.squadTarget = targets[assignment[i]] || null;
+    });
+}
+
+// BFS out from the player; a cell's weight is how many escape cells lie behind it (its subtree).
+// The heaviest cells are taken best first, at most one per route: a cell on the same branch as
+// one already taken, ahead of it or behind it, is skipped.
+function findChokepoints(startX, startY, count) {
+    const start = cellIndex(startX, startY);
+    const depth = new Int32Array(GRID_WIDTH * GRID_HEIGHT).fill(-1);
+    const parent = new Int32Array(GRID_WIDTH * GRID_HEIGHT).fill(-1);
+    const order = [start];
+    depth[start] = 0;
+    
+    for (let head = 0; head < order.length; head++) {
+        const current = order[head];
+        if (depth[current] === CHOKEPOINT_DEPTH) continue;
+        
+        const x = current % GRID_WIDTH;
+        const y = Math.floor(current / GRID_WIDTH);
+        for (let d = 0; d < 4; d++) {
+            if (!canStep(x, y, NEIGHBOR_DX[d], NEIGHBOR_DY[d])) continue;
+            
+            const neighbor = cellIndex(x + NEIGHBOR_DX[d], y + NEIGHBOR_DY[d]);
+            if (depth[neighbor] === -1) {
+                depth[neighbor] = depth[current] + 1;
+                parent[neighbor] = current;
+                order.push(neighbor);
+            }
+        }
+    }
+    
+    // Leaves first, so each cell's count is complete before it's added to its parent
+    const behind = new Int32Array(GRID_WIDTH * GRID_HEIGHT);
+    for (let i = order.length - 1; i > 0; i--) {
+        behind[order[i]]++;
+        behind[parent[order[i]]] += behind[order[i]];
+    }
+    
+    const isOnBranchOf = (index, ancestor) => {
+        for (let i = index; i !== -1; i = parent[i]) {
+            if (i === ancestor) return true;
+        }
+        return false;
+    };
+    const candidates = order.filter(index => depth[index] >= MIN_CHOKEPOINT_DISTANCE)
+        .sort((a, b) => behind[b] - behind[a] || a - b);
+    const taken = [];
+    for (const index of candidates) {
+        if (taken.length === count) break;
+        if (!taken.some(other => isOnBranchOf(index, other) || isOnBranchOf(other, index))) {
+            taken.push(index);
+        }
+    }
+    return taken.map(index => ({ x: index % GRID_WIDTH, y: Math.floor(index / GRID_WIDTH) }));
+}
+
+// Minimum-cost assignment of rows to distinct columns (Hungarian algorithm with potentials,
+// rows <= columns). Returns the column picked for each row.
+function solveAssignment(costs) {
+    const rows = costs.length;
+    const columns = costs[0].length;
+    const rowPotential = new Array(rows + 1).fill(0);
+    const columnPotential = new Array(columns + 1).fill(0);
+    const columnRow = new Array(columns + 1).fill(0);  // 1-based row holding each column, 0 if free
+    const previousColumn = new Array(columns + 1).fill(0);
+    
+    for (let row = 1; row <= rows; row++) {
+        columnRow[0] = row;
+        let column = 0;
+        const slack = new Array(columns + 1).fill(Infinity);
+        const visited = new Array(columns + 1).fill(false);
+        
+        // Grow alternating paths until one ends in a free column
+        do {
+            visited[column] = true;
+            const currentRow = columnRow[column];
+            let delta = Infinity;
+            let nextColumn = 0;
+            for (let c = 1; c <= columns; c++) {
+                if (visited[c]) continue;
+                const reduced = costs[currentRow - 1][c - 1] - rowPotential[currentRow] - columnPotential[c];
+                if (reduced < slack[c]) {
+                    slack[c] = reduced;
+                    previousColumn[c] = column;
+                }
+                if (slack[c] < delta) {
+                    delta = slack[c];
+                    nextColumn = c;
+                }
+            }
+            for (let c = 0; c <= columns; c++) {
+                if (visited[c]) {
+                    rowPotential[columnRow[c]] += delta;
+                    columnPotential[c] -= delta;
+                } else {
+                    slack[c] -= delta;
+                }
+            }
+            column = nextColumn;
+        } while (columnRow[column] !== 0);
+        
+        // Flip the path
+        do {
+            const previous = previousColumn[column];
+            columnRow[column] = columnRow[previous];
+            column = previous;
+        } while (column !== 0);
+    }
+    
+    const assignment = new Array(rows);
+    for (let c = 1; c <= columns; c++) {
+        if (columnRow[c] !== 0) assignment[columnRow[c] - 1] = c - 1;
+    }
+    return assignment;
+}
+
+function updateEnemies() {
+    planSquad();
+    
+    enemies.forEach((enemy, index) => {
+        if (game.state !== GAME_STATES.PLAYING) return;
+        
+        if (enemy.eaten) {
+            updateEatenEnemy(enemy);
+            return;
+        }
+        
+        enemy.moveTimer++;
+        enemy.personalityTimer++;
+        if (enemy.teleportCooldown > 0) enemy.teleportCooldown--;
+        tickStatusEffects(enemy);
+        applyTileEffects(enemy, 'enemy', 'stand');
+        updatePerception(enemy);
+        
+        if (enemy.scared) {
+            enemy.scaredTimer--;
+            if (enemy.scaredTimer <= 0) {
+                enemy.scared = false;
+            }
+        }
+        
+        // Tile effects (slower in safe zones and mud, faster off speed pads), then perks
+        let moveSpeed = game.enemySpeed * getEnemyArchetype(enemy).speed;
+        if (enemy.scared) moveSpeed *= 1.5;
+        moveSpeed = getEffectiveMoveInterval(enemy, moveSpeed);
+        moveSpeed = modifyByPerks('enemyMoveInterval', moveSpeed);
+        
+        enemy.moveInterval = moveSpeed;
+        
+        // Not released yet: wait at the spawn
+        if (enemy.releaseTimer > 0) {
+            enemy.releaseTimer--;
+        } else if (enemy.moveTimer >= moveSpeed) {
+            enemy.moveTimer = 0;
+            enemy.prevX = enemy.x;
+            enemy.prevY = enemy.y;
+            
+            let move = enemy.reversePending ? getReverseMove(enemy) : getEnemyMove(enemy);
+            enemy.reversePending = false;
+            if (move && canStep(enemy.x, enemy.y, move.x, move.y)) {
+                enemy.x += move.x;
+                enemy.y += move.y;
+                enemy.lastDirection = move;
+                
+                // Enemies ride teleporters too, which their pathfinding counts on
+                if (!tryTeleport(enemy)) {
+                    applyTileEffects(enemy, 'enemy', 'enter');
+                }
+            }
+        }
+        
+        // Check collision with player
+        if (enemy.x === player.x && enemy.y === player.y) {
+            if (enemy.scared) {
+                const points = GHOST_CHAIN_SCORES[Math.min(game.ghostChain, GHOST_CHAIN_SCORES.length - 1)];
+                game.ghostChain++;
+                game.score += modifyByPerks('ghostScore', points) * game.multiplier;
+                enemy.scared = false;
+                enemy.scaredTimer = 0;
+                enemy.eaten = true;
+                enemy.effects = {};
+                triggerPerks('ghostEaten');
+            } else {
+                loseLife();
+            }
+        }
+    });
+}
+
+// Eyes ignore tiles, perks and the player, and take the shortest path back to the spawn cell
+function updateEatenEnemy(enemy) {
+    enemy.moveInterval = EYES_MOVE_INTERVAL;
+    if (enemy.teleportCooldown > 0) enemy.teleportCooldown--;
+    enemy.moveTimer++;
+    if (enemy.moveTimer < EYES_MOVE_INTERVAL) return;
+    
+    enemy.moveTimer = 0;
+    enemy.prevX = enemy.x;
+    enemy.prevY = enemy.y;
+    
+    const path = findPath(enemy.x, enemy.y, enemy.spawn.x, enemy.spawn.y);
+    if (path === null) {
+        // No way back on this board, so skip the trip
+        snapEntityTo(enemy, enemy.spawn.x, enemy.spawn.y);
+    } else if (path.length > 0) {
+        enemy.lastDirection = { x: path[0].x - enemy.x, y: path[0].y - enemy.y };
+        enemy.x = path[0].x;
+        enemy.y = path[0].y;
+        tryTeleport(enemy);
+    }
+    
+    if (enemy.x === enemy.spawn.x && enemy.y === enemy.spawn.y) {
+        enemy.eaten = false;
+        enemy.releaseTimer = EATEN_RELEASE_TICKS;
+    }
+}
+
+// Enemies that can hurt the player: not scared, and not just eyes
+function isEnemyThreat(enemy) {
+    return !enemy.scared && !enemy.eaten;
+}
+
+// Caught by an enemy or the boss: back to the spawn, or game over on the last life
+function loseLife() {
+    game.lives--;
+    snapEntityTo(player, game.playerSpawn.x, game.playerSpawn.y);
+    game.comboCounter = 0; // Reset combo on death
+    
+    if (game.lives <= 0) {
+        gameOver();
+    }
+}
+
+// Boss levels: every BOSS_LEVEL_INTERVAL levels the arena holds a boss covering 2x2 cells,
+// (x, y) being its top-left cell. Clearing the dots isn't enough there - the level ends when
+// the boss is beaten. Touching it costs a life unless it's vulnerable, in which case it takes a
+// hit and is stunned for a moment. It goes through phases:
+//   summon  - slow, calls up minions every few seconds
+//   rampage - from half health, faster and smashing through walls in its way
+//   exposed - once every power pellet is eaten, vulnerable for good and on the run
+// Otherwise it's vulnerable (and runs) only while a power pellet is active.
+const BOSS_LEVEL_INTERVAL = 5;
+const BOSS_LEVEL_ENEMIES = 2;  // Regular enemies alongside the boss
+const BOSS_SIZE = 2;
+const BOSS_BASE_HEALTH = 3;  // Plus one per earlier boss level
+const MAX_BOSS_HEALTH = 6;
+const BOSS_STUN_TICKS = 2 * TICK_RATE;
+const BOSS_MINION_INTERVAL = 8 * TICK_RATE;
+const BOSS_MAX_MINIONS = 3;
+const BOSS_MINION_ARCHETYPE = 'hunter';
+const BOSS_HIT_SCORE = 500;
+const BOSS_DEFEAT_SCORE = 5000;
+
+const BOSS_PHASES = {
+    SUMMON: 'summon',
+    RAMPAGE: 'rampage',
+    EXPOSED: 'exposed'
+};
+
+// Move interval as a multiple of the enemy speed
+const BOSS_PHASE_SPEEDS = {
+    summon: 1.5,
+    rampage: 1,
+    exposed: 1.25
+};
+
+function isBossLevel(level) {
+    return level % BOSS_LEVEL_INTERVAL === 0;
+}
+
+// Top-left cell of the boss in the middle of the arena, which generateBossArena keeps clear
+function getBossLair() {
+    return { x: Math.floor(GRID_WIDTH / 2) - 1, y: Math.floor(GRID_HEIGHT / 2) - 1 };
+}
+
+// Starts in the lair, after the board's pellets are final
+function createBoss(level) {
+    const { x, y } = getBossLair();
+    const health = Math.min(MAX_BOSS_HEALTH, BOSS_BASE_HEALTH + level / BOSS_LEVEL_INTERVAL - 1);
+    const pelletsLeft = items.reduce((count, row) => count + row.filter(item => item === 3).length, 0);
+    return {
+        x,
+        y,
+        prevX: x,
+        prevY: y,
+        moveTimer: 0,
+        moveInterval: game.enemySpeed * BOSS_PHASE_SPEEDS.summon,
+        health,
+        maxHealth: health,
+        phase: pelletsLeft === 0 ? BOSS_PHASES.EXPOSED : BOSS_PHASES.SUMMON,
+        stunTimer: 0,
+        minionTimer: BOSS_MINION_INTERVAL,
+        minionsSpawned: 0,
+        pelletsLeft,
+        lastDirection: { x: 0, y: 0 }
+    };
+}
+
+function isBossCell(x, y) {
+    return x >= boss.x && x < boss.x + BOSS_SIZE && y >= boss.y && y < boss.y + BOSS_SIZE;
+}
+
+function isBossVulnerable() {
+    return boss.stunTimer === 0 && (game.powerPelletActive || boss.phase === BOSS_PHASES.EXPOSED);
+}
+
+function getBossPhase() {
+    if (boss.pelletsLeft === 0) return BOSS_PHASES.EXPOSED;
+    return boss.health * 2 <= boss.maxHealth ? BOSS_PHASES.RAMPAGE : BOSS_PHASES.SUMMON;
+}
+
+// Walls the boss may smash: anything but the border and the enemy home
+function isSmashableWall(x, y) {
+    return x > 0 && x < GRID_WIDTH - 1 && y > 0 && y < GRID_HEIGHT - 1 && !isEnemyHomeArea(x, y);
+}
+
+// Whether the boss fits with its top-left cell at (x, y), counting smashable walls as open when rampaging
+function canBossStand(x, y, smash) {
+    if (x < 1 || y < 1 || x + BOSS_SIZE > GRID_WIDTH - 1 || y + BOSS_SIZE > GRID_HEIGHT - 1) return false;
+    for (let cy = y; cy < y + BOSS_SIZE; cy++) {
+        for (let cx = x; cx < x + BOSS_SIZE; cx++) {
+            if (grid[cy][cx] === 1 && !(smash && isSmashableWall(cx, cy))) return false;
+        }
+    }
+    return true;
+}
+
+// First step of a BFS over boss positions to any position covering the player. Doors and
+// teleporters mean nothing to something this size.
+function getBossChaseMove() {
+    const smash = boss.phase === BOSS_PHASES.RAMPAGE;
+    const start = cellIndex(boss.x, boss.y);
+    const firstStep = new Int8Array(GRID_WIDTH * GRID_HEIGHT).fill(-1);
+    const queue = [start];
+    firstStep[start] = 4;
+    
+    for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        const x = current % GRID_WIDTH;
+        const y = Math.floor(current / GRID_WIDTH);
+        if (player.x >= x && player.x < x + BOSS_SIZE && player.y >= y && player.y < y + BOSS_SIZE) {
+            const d = firstStep[current];
+            return d === 4 ? null : { x: NEIGHBOR_DX[d], y: NEIGHBOR_DY[d] };
+        }
+        
+        for (let d = 0; d < 4; d++) {
+            const nx = x + NEIGHBOR_DX[d];
+            const ny = y + NEIGHBOR_DY[d];
+            if (!canBossStand(nx, ny, smash)) continue;
+            
+            const next = cellIndex(nx, ny);
+            if (firstStep[next] === -1) {
+                firstStep[next] = current === start ? d : firstStep[current];
+                queue.push(next);
+            }
+        }
+    }
+    return null;
+}
+
+// Greedy: the step that takes its centre furthest from the player
+function getBossFleeMove() {
+    let bestMove = null;
+    let bestDistance = -1;
+    for (let d = 0; d < 4; d++) {
+        const nx = boss.x + NEIGHBOR_DX[d];
+        const ny = boss.y + NEIGHBOR_DY[d];
+        if (!canBossStand(nx, ny, false)) continue;
+        
+        const distance = Math.abs(nx * 2 + 1 - player.x * 2) + Math.abs(ny * 2 + 1 - player.y * 2);
+        if (distance > bestDistance) {
+            bestDistance = distance;
+            bestMove = { x: NEIGHBOR_DX[d], y: NEIGHBOR_DY[d] };
+        }
+    }
+    return bestMove;
+}
+
+// Minions are ordinary enemies that come out of the boss and return to where they were called up
+function spawnBossMinion() {
+    const minion = createEnemy(enemies.length, boss.x, boss.y, BOSS_MINION_ARCHETYPE, game.level);
+    minion.releaseTimer = 0;
+    enemies.push(minion);
+    boss.minionsSpawned++;
+    emitGameEvent('bossMinion', { id: minion.id });
+}
+
+function updateBoss() {
+    const phase = getBossPhase();
+    if (phase !== boss.phase) {
+        boss.phase = phase;
+        emitGameEvent('bossPhase', { phase });
+    }
+    
+    if (boss.stunTimer > 0) {
+        boss.stunTimer--;
+    } else {
+        if (boss.phase === BOSS_PHASES.SUMMON) {
+            boss.minionTimer--;
+            if (boss.minionTimer <= 0) {
+                boss.minionTimer = BOSS_MINION_INTERVAL;
+                if (boss.minionsSpawned < BOSS_MAX_MINIONS && enemies.length < MAX_ENEMIES) {
+                    spawnBossMinion();
+                }
+            }
+        }
+        
+        const vulnerable = isBossVulnerable();
+        boss.moveInterval = game.enemySpeed * (vulnerable ? BOSS_PHASE_SPEEDS.exposed : BOSS_PHASE_SPEEDS[boss.phase]);
+        boss.moveTimer++;
+        if (boss.moveTimer >= boss.moveInterval) {
+            boss.moveTimer = 0;
+            boss.prevX = boss.x;
+            boss.prevY = boss.y;
+            
+            const move = vulnerable ? getBossFleeMove() : getBossChaseMove();
+            if (move) {
+                boss.x += move.x;
+                boss.y += move.y;
+                boss.lastDirection = move;
+                
+                // Only rampaging chases lead into walls; they come down as it pushes through
+                for (let y = boss.y; y < boss.y + BOSS_SIZE; y++) {
+                    for (let x = boss.x; x < boss.x + BOSS_SIZE; x++) {
+                        if (grid[y][x] === 1) setTile(x, y, 0);
+                    }
+                }
+            }
+        }
+    }
+    
+    // Check collision with player
+    if (boss.stunTimer > 0 || !isBossCell(player.x, player.y)) return;
+    if (isBossVulnerable()) {
+        damageBoss();
+    } else {
+        // Back to the lair too, so it can't sit on the player's spawn
+        const lair = getBossLair();
+        loseLife();
+        snapEntityTo(boss, lair.x, lair.y);
+    }
+}
+
+function damageBoss() {
+    boss.health--;
+    boss.stunTimer = BOSS_STUN_TICKS;
+    game.score += BOSS_HIT_SCORE * game.multiplier;
+    emitGameEvent('bossHit', { health: boss.health });
+    
+    if (boss.health <= 0) {
+        boss = null;
+        game.score += BOSS_DEFEAT_SCORE * game.multiplier;
+        emitGameEvent('bossDefeated', { level: game.level });
+        nextLevel();
+    }
+}
+
+// Perception: enemies only know where the player is while they can see them (within SIGHT_RANGE,
+// with no wall in between) or after hearing them eat nearby. The last sighting is remembered for
+// ENEMY_MEMORY_TICKS, and hunting behaviors head there and search around it once it's gone cold.
+const SIGHT_RANGE = 8;
+const DOT_NOISE_RADIUS = 3;
+const PELLET_NOISE_RADIUS = 7;
+const ENEMY_MEMORY_TICKS = 6 * TICK_RATE;
+const SEARCH_RADIUS = 2;  // Around the last sighting, widening by a cell per second of memory age
+const MAX_SEARCH_RADIUS = 6;
+
+// Bresenham line between the two cells; any wall strictly between them blocks it
+function hasLineOfSight(x0, y0, x1, y1) {
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let x = x0;
+    let y = y0;
+    
+    while (x !== x1 || y !== y1) {
+        const e2 = 2 * err;
+        if (e2 >= dy) {
+            err += dy;
+            x += sx;
+        }
+        if (e2 <= dx) {
+            err += dx;
+            y += sy;
+        }
+        if ((x !== x1 || y !== y1) && grid[y][x] === 1) return false;
+    }
+    return true;
+}
+
+function canSeePlayer(enemy) {
+    const dx = player.x - enemy.x;
+    const dy = player.y - enemy.y;
+    return dx * dx + dy * dy <= SIGHT_RANGE * SIGHT_RANGE && hasLineOfSight(enemy.x, enemy.y, player.x, player.y);
+}
+
+// Refreshes the sighting while the player is in view, otherwise ages the memory until it's forgotten
+function updatePerception(enemy) {
+    enemy.seesPlayer = canSeePlayer(enemy);
+    if (enemy.seesPlayer) {
+        enemy.lastSeen = { x: player.x, y: player.y, age: 0, checked: false };
+    } else if (enemy.lastSeen) {
+        enemy.lastSeen.age++;
+        if (enemy.lastSeen.age > ENEMY_MEMORY_TICKS) {
+            enemy.lastSeen = null;
+        }
+    }
+}
+
+// Enemies within earshot learn where the player is, walls or not; eyes don't listen
+function makeNoise(x, y, radius) {
+    enemies.forEach(enemy => {
+        const dx = x - enemy.x;
+        const dy = y - enemy.y;
+        if (!enemy.eaten && dx * dx + dy * dy <= radius * radius) {
+            enemy.lastSeen = { x, y, age: 0, checked: false };
+        }
+    });
+}
+
+// Goes to the last sighting first, then sweeps random open cells around it, wider the older it
+// is. With nothing remembered it's a wander across the board.
+function getSearchMove(enemy) {
+    const lastSeen = enemy.lastSeen;
+    if (lastSeen && !lastSeen.checked) {
+        const move = getFieldMove(enemy, lastSeen.x, lastSeen.y);
+        if (move) {
+            return move;
+        }
+        // Arrived (or it can't be reached): nobody here, start the sweep
+        lastSeen.checked = true;
+        enemy.patrolTarget = null;
+    }
+    
+    const reached = enemy.patrolTarget && enemy.x === enemy.patrolTarget.x && enemy.y === enemy.patrolTarget.y;
+    if (!enemy.patrolTarget || reached) {
+        enemy.patrolTarget = pickSearchCell(enemy.lastSeen);
+    }
+    
+    const move = getFieldMove(enemy, enemy.patrolTarget.x, enemy.patrolTarget.y);
+    if (move) {
+        return move;
+    }
+    enemy.patrolTarget = null; // Walled off or already there - pick another spot next move
+    return getRandomMove(enemy);
+}
+
+function pickSearchCell(lastSeen) {
+    if (!lastSeen) {
+        return { x: aiRng.int(GRID_WIDTH - 4) + 2, y: aiRng.int(GRID_HEIGHT - 4) + 2 };
+    }
+    
+    const radius = Math.min(MAX_SEARCH_RADIUS, SEARCH_RADIUS + Math.floor(lastSeen.age / TICK_RATE));
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const x = lastSeen.x + aiRng.int(radius * 2 + 1) - radius;
+        const y = lastSeen.y + aiRng.int(radius * 2 + 1) - radius;
+        if (x > 0 && x < GRID_WIDTH - 1 && y > 0 && y < GRID_HEIGHT - 1 && grid[y][x] !== 1) {
+            return { x, y };
+        }
+    }
+    return { x: lastSeen.x, y: lastSeen.y };
+}
+
+function getEnemyMove(enemy) {
+    const archetype = getEnemyArchetype(enemy);
+    if (enemy.scared) {
+        return SCARED_RESPONSES[archetype.scared](enemy);
+    }
+    
+    if (game.enemyPhase.mode === ENEMY_PHASES.SCATTER) {
+        return getScatterMove(enemy);
+    }
+    
+    // Smart mode enemies use more sophisticated strategies on a player they can see
+    if (enemy.smartMode && enemy.seesPlayer && aiRng.next() < enemy.predictionAccuracy) {
+        return getSmartEnemyMove(enemy);
+    }
+    
+    const behavior = enemyBehaviors[enemy.behavior];
+    if (enemy.squadTarget && !behavior.squad) {
+        const move = getFieldMove(enemy, enemy.squadTarget.x, enemy.squadTarget.y);
+        if (move) {
+            return move;
+        }
+    }
+    return behavior.move(enemy, { ...behavior.params, ...archetype.params });
+}
+
+// Straight back the way it came, unless that's blocked (or it hasn't moved yet)
+function getReverseMove(enemy) {
+    const reverse = { x: -enemy.lastDirection.x, y: -enemy.lastDirection.y };
+    if ((reverse.x !== 0 || reverse.y !== 0) && canStep(enemy.x, enemy.y, reverse.x, reverse.y)) {
+        return reverse;
+    }
+    return getEnemyMove(enemy);
+}
+
+// Head for the behavior's corner, then mill about there until the phase ends
+function getScatterMove(enemy) {
+    const target = getScatterTarget(enemy.behavior);
+    const move = target && getFieldMove(enemy, target.x, target.y);
+    if (move) {
+        return move;
+    }
+    return getRandomMove(enemy);
+}
+
+// Open cell nearest the behavior's corner, outside the enemy home
+function getScatterTarget(behavior) {
+    const corner = enemyBehaviors[behavior].scatterCorner;
+    const cornerX = corner.x ? GRID_WIDTH - 2 : 1;
+    const cornerY = corner.y ? GRID_HEIGHT - 2 : 1;
+    let best = null;
+    let bestDistance = Infinity;
+    
+    for (let y = 1; y < GRID_HEIGHT - 1; y++) {
+        for (let x = 1; x < GRID_WIDTH - 1; x++) {
+            if (grid[y][x] === 1 || (game.enemyHome && isEnemyHomeArea(x, y))) continue;
+            
+            const distance = Math.abs(x - cornerX) + Math.abs(y - cornerY);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = { x, y };
+            }
+        }
+    }
+    return best;
+}
+
+function getSmartEnemyMove(enemy) {
+    // Advanced AI that considers multiple factors
+    const distanceToPlayer = Math.abs(enemy.x - player.x) + Math.abs(enemy.y - player.y);
+    
+    // Close range: direct pursuit
+    if (distanceToPlayer <= 3) {
+        return getAggressiveMove(enemy);
+    }
+    
+    // Medium range: use prediction and coordination
+    if (distanceToPlayer <= 8) {
+        // Predict player movement
+        const predictedX = player.x + player.direction.x * 2;
+        const predictedY = player.y + player.direction.y * 2;
+        
+        // Clamp to grid bounds
+        const clampedX = Math.max(1, Math.min(GRID_WIDTH - 2, predictedX));
+        const clampedY = Math.max(1, Math.min(GRID_HEIGHT - 2, predictedY));
+        
+        const move = getFieldMove(enemy, clampedX, clampedY);
+        if (move) {
+            return move;
+        }
+    }
+    
+    // Long range: patrol or coordinate
+    return enemy.behavior === 'coordinator' ? getCoordinatorMove(enemy) : getPatrolMove(enemy);
+}
+
+function getEnhancedRunAwayMove(enemy) {
+    let moves = [];
+    let directions = [
+        {x: 1, y: 0}, {x: -1, y: 0}, 
+        {x: 0, y: 1}, {x: 0, y: -1}
+    ];
+    
+    for (let dir of directions) {
+        let newX = enemy.x + dir.x;
+        let newY = enemy.y + dir.y;
+        if (canStep(enemy.x, enemy.y, dir.x, dir.y)) {
+            let distanceFromPlayer = Math.abs(newX - player.x) + Math.abs(newY - player.y);
+            
+            // Also consider distance from other enemies to avoid clustering
+            let distanceFromOthers = 0;
+            enemies.forEach(other => {
+                if (other.id !== enemy.id) {
+                    distanceFromOthers += Math.abs(newX - other.x) + Math.abs(newY - other.y);
+                }
+            });
+            
+            moves.push({
+                move: dir, 
+                distance: distanceFromPlayer,
+                separation: distanceFromOthers
+            });
+        }
+    }
+    
+    if (moves.length > 0) {
+        // Choose move that maximizes distance from player and separates from other enemies
+        moves.sort((a, b) => (b.distance + b.separation * 0.3) - (a.distance + a.separation * 0.3));
+        return moves[0].move;
+    }
+    return null;
+}
+
+function getAggressiveMove(enemy) {
+    // Out of sight, follow up on the last sighting instead
+    if (!enemy.seesPlayer) {
+        return getSearchMove(enemy);
+    }
+    
+    // Descend the shared distance field around the player for smart pursuit
+    const move = getFieldMove(enemy, player.x, player.y);
+    if (move) {
+        return move;
+    }
+    return getRandomMove(enemy);
+}
+
+function getPatrolMove(enemy, params = enemyBehaviors.patrol.params) {
+    // Hunt a player in view; a remembered sighting splits its time between searching and the route
+    if (enemy.seesPlayer) {
+        return getAggressiveMove(enemy);
+    }
+    if (enemy.lastSeen && enemy.personalityTimer % params.searchCycle < params.searchTicks) {
+        return getSearchMove(enemy);
+    }
+    
+    if (!enemy.patrolTarget || (enemy.x === enemy.patrolTarget.x && enemy.y === enemy.patrolTarget.y)) {
+        // Set new patrol target
+        enemy.patrolTarget = {
+            x: aiRng.int(GRID_WIDTH - 4) + 2,
+            y: aiRng.int(GRID_HEIGHT - 4) + 2
+        };
+    }
+    
+    let path = findPath(enemy.x, enemy.y, enemy.patrolTarget.x, enemy.patrolTarget.y);
+    if (path && path.length > 0) {
+        let nextStep = path[0];
+        return {
+            x: nextStep.x - enemy.x,
+            y: nextStep.y - enemy.y
+        };
+    }
+    return getRandomMove(enemy);
+}
+
+function getAmbushMove(enemy, params = enemyBehaviors.ambush.params) {
+    // Lie in wait around the last known area until the player shows up
+    if (!enemy.seesPlayer) {
+        return getSearchMove(enemy);
+    }
+    
+    // Try to intercept player's path
+    let predictedX = player.x + player.direction.x * params.lead;
+    let predictedY = player.y + player.direction.y * params.lead;
+    
+    // Clamp to grid bounds
+    predictedX = Math.max(1, Math.min(GRID_WIDTH - 2, predictedX));
+    predictedY = Math.max(1, Math.min(GRID_HEIGHT - 2, predictedY));
+    
+    const move = getFieldMove(enemy, predictedX, predictedY);
+    if (move) {
+        return move;
+    }
+    return getAggressiveMove(enemy);
+}
+
+function getRandomMove(enemy) {
+    let moves = [];
+    let directions = [
+        {x: 1, y: 0}, {x: -1, y: 0}, 
+        {x: 0, y: 1}, {x: 0, y: -1}
+    ];
+    
+    for (let dir of directions) {
+        if (canStep(enemy.x, enemy.y, dir.x, dir.y)) {
+            moves.push(dir);
+        }
+    }
+    
+    if (moves.length > 0) {
+        return moves[aiRng.int(moves.length)];
+    }
+    return null;
+}
+
+// Between-level upgrade shop - score is the currency, costs escalate per purchase
+const MIN_BASE_PLAYER_SPEED = 6;
+const UPGRADES = {
+    speed: {
+        label: 'Speed+',
+        baseCost: 100,
+        costGrowth: 1.5,
+        isMaxed: () => game.basePlayerSpeed <= MIN_BASE_PLAYER_SPEED,
+        apply: () => { game.basePlayerSpeed--; }
+    },
+    lives: {
+        label: 'Extra Life',
+        baseCost: 500,
+        costGrowth: 2,
+        isMaxed: () => false,
+        apply: () => { game.lives++; }
+    },
+    multiplier: {
+        label: 'Score +1x',
+        baseCost: 1000,
+        costGrowth: 2,
+        isMaxed: () => false,
+        apply: () => { game.multiplier++; }
+    },
+    pellet: {
+        label: 'Power Boost',
+        baseCost: 200,
+        costGrowth: 1.5,
+        isMaxed: () => false,
+        apply: () => { game.pelletDurationBonus += 60; } // +1 second of power per purchase
+    }
+};
+
+function getUpgradeCost(type) {
+    const upgrade = UPGRADES[type];
+    return Math.round(upgrade.baseCost * Math.pow(upgrade.costGrowth, game.upgradeLevels[type]));
+}
+
+function purchaseUpgrade(type) {
+    const upgrade = UPGRADES[type];
+    if (!upgrade || game.state !== GAME_STATES.SHOP || upgrade.isMaxed()) return false;
+    
+    const cost = getUpgradeCost(type);
+    if (game.score < cost) return false;
+    
+    game.score -= cost;
+    game.upgradeLevels[type]++;
+    upgrade.apply();
+    
+    emitGameEvent('upgradePurchased', { type, cost });
+    return true;
+}
+
+// Perks drafted after each cleared level, stacked in game.perks. `modifiers` adjust a value
+// at a named hook point and `triggers` react to a named event; both receive the stack count.
+const PERK_DRAFT_SIZE = 3;
+const PERKS = {
+    longChain: {
+        label: 'Long Chain',
+        description: 'Combo window +0.5s',
+        weight: 10,
+        maxStacks: 3,
+        modifiers: { comboWindow: (ticks, stacks) => ticks + stacks * TICK_RATE / 2 }
+    },
+    dotHoarder: {
+        label: 'Dot Hoarder',
+        description: 'Dots score +5',
+        weight: 10,
+        maxStacks: 3,
+        modifiers: { dotScore: (points, stacks) => points + stacks * 5 }
+    },
+    ghostHunter: {
+        label: 'Ghost Hunter',
+        description: 'Eaten ghosts score +50%',
+        weight: 8,
+        maxStacks: 2,
+        modifiers: { ghostScore: (points, stacks) => Math.round(points * (1 + stacks * 0.5)) }
+    },
+    feedingFrenzy: {
+        label: 'Feeding Frenzy',
+        description: 'Eating a ghost extends power by 1s',
+        weight: 6,
+        maxStacks: 2,
+        triggers: {
+            ghostEaten: (stacks) => {
+                const extension = stacks * TICK_RATE;
+                if (game.powerPelletActive) {
+                    game.powerPelletTimer += extension;
+                }
+                enemies.forEach(enemy => {
+                    if (enemy.scared) enemy.scaredTimer += extension;
+                });
+            }
+        }
+    },
+    sluggishGhosts: {
+        label: 'Sluggish Ghosts',
+        description: 'Enemies move 10% slower',
+        weight: 5,
+        maxStacks: 2,
+        modifiers: { enemyMoveInterval: (interval, stacks) => interval * (1 + stacks * 0.1) }
+    },
+    spookyPortals: {
+        label: 'Spooky Portals',
+        description: 'Teleporting scares enemies for 2s',
+        weight: 4,
+        maxStacks: 1,
+        triggers: {
+            teleport: () => {
+                enemies.forEach(enemy => {
+                    if (enemy.eaten) return;
+                    enemy.scared = true;
+                    enemy.scaredTimer = Math.max(enemy.scaredTimer, TICK_RATE * 2);
+                });
+            }
+        }
+    },
+    sanctuary: {
+        label: 'Sanctuary',
+        description: 'First safe zone each level restores a life',
+        weight: 4,
+        maxStacks: 1,
+        triggers: {
+            safeZone: () => {
+                if (game.perkState.sanctuaryLevel === game.level) return;
+                game.perkState.sanctuaryLevel = game.level;
+                game.lives++;
+            }
+        }
+    }
+};
+
+function modifyByPerks(hook, value) {
+    Object.keys(game.perks).forEach(id => {
+        const modifier = PERKS[id].modifiers && PERKS[id].modifiers[hook];
+        if (modifier) {
+            value = modifier(value, game.perks[id]);
+        }
+    });
+    return value;
+}
+
+function triggerPerks(hook) {
+    Object.keys(game.perks).forEach(id => {
+        const trigger = PERKS[id].triggers && PERKS[id].triggers[hook];
+        if (trigger) {
+            trigger(game.perks[id]);
+        }
+    });
+}
+
+// Weighted draw without replacement from perks that can still stack. The draft stream is
+// derived from the level seed, so the same run always offers the same perks.
+function draftPerks() {
+    const draftRng = createRng(deriveSeed(game.levelSeed, 'perks'));
+    const pool = Object.keys(PERKS).filter(id => (game.perks[id] || 0) < PERKS[id].maxStacks);
+    const draft = [];
+    
+    while (draft.length < PERK_DRAFT_SIZE && pool.length > 0) {
+        const totalWeight = pool.reduce((sum, id) => sum + PERKS[id].weight, 0);
+        let roll = draftRng.next() * totalWeight;
+        let index = 0;
+        while (roll >= PERKS[pool[index]].weight) {
+            roll -= PERKS[pool[index]].weight;
+            index++;
+        }
+        draft.push(pool.splice(index, 1)[0]);
+    }
+    return draft;
+}
+
+// Takes one perk from the current draft; the rest of the draft is discarded
+function pickPerk(id) {
+    if (game.state !== GAME_STATES.SHOP || !game.perkDraft.includes(id)) return false;
+    
+    game.perks[id] = (game.perks[id] || 0) + 1;
+    game.perkDraft = [];
+    
+    emitGameEvent('perkPicked', { id, stacks: game.perks[id] });
+    return true;
+}
+
+function continueFromShop() {
+    return setGameState(GAME_STATES.PLAYING);
+}
+
+function nextLevel() {
+    setGameState(GAME_STATES.LEVEL_CLEAR);
+}
+
+function gameOver() {
+    setGameState(GAME_STATES.GAME_OVER);
+}
+
+function resetPlayerMovement() {
+    player.direction = { x: 0, y: 0 };
+    player.moveTimer = 0;
+    player.teleportCooldown = 0;
+    player.effects = {};
+    inputBuffer = [];
+}
+
+function startNextLevel() {
+    game.level++;
+    game.dotsCollected = 0;
+    resetPlayerMovement();
+    
+    generateLevel(game.level);
+}
+
+// Unlocks applied to new runs, set by the shell from the player's saved meta-progression
+let metaUnlocks = createEmptyUnlocks();
+
+function setMetaUnlocks(unlocks) {
+    if (!isValidUnlocks(unlocks)) {
+        console.warn('Ignoring invalid meta unlocks', unlocks);
+        return false;
+    }
+    metaUnlocks = { ...unlocks };
+    return true;
+}
+
+// Resets everything and generates level 1 (or loads a hand-authored level 1 for play-testing);
+// also the menu/game over -> playing transition. A fresh run ends any replay being watched.
+function startNewRun(runSeed = randomSeed(), unlocks = metaUnlocks, customLevel = null) {
+    if (customLevel && validateCustomLevel(customLevel).errors.length > 0) {
+        console.warn('Ignoring run with an invalid custom level');
+        return false;
+    }
+    if (replayPlayback) {
+        stopReplay();
+    }
+    beginRun(runSeed, unlocks, customLevel);
+    emitGameEvent('runStarted', { seed: runSeed, custom: Boolean(customLevel) });
+    return true;
+}
+
+// Starts a run from its header, keeping any replay playback (replays restart through here)
+function beginRun(runSeed, unlocks, customLevel) {
+    const previousState = game.state;
+    
+    game = createInitialGameState(runSeed, unlocks);
+    resetPlayerMovement();
+    if (customLevel) {
+        game.customStart = true;
+        loadCustomLevel(customLevel);
+    } else {
+        generateLevel(game.level);
+    }
+    startReplayRecording(runSeed, unlocks, customLevel);
+    if (replayPlayback) {
+        replayPlayback.cursor = 0;
+    }
+    
+    emitGameEvent('stateChange', { from: previousState, to: game.state });
+}
+
+function togglePause() {
+    if (game.state !== GAME_STATES.PLAYING) return;
+    game.isPaused = !game.isPaused;
+    emitGameEvent('pauseChange', { paused: game.isPaused });
+}
+
+function returnToMenu() {
+    return setGameState(GAME_STATES.MENU);
+}
+
+// Level flow state machine: menu -> playing -> levelClear -> shop -> playing, or playing -> gameOver -> playing/menu
+function setGameState(nextState) {
+    const previousState = game.state;
+    if (!STATE_TRANSITIONS[previousState].includes(nextState)) {
+        console.warn(`Ignoring invalid state transition ${previousState} -> ${nextState}`);
+        return false;
+    }
+    
+    // Playing from the menu or game over always means a brand new run
+    if (nextState === GAME_STATES.PLAYING &&
+        (previousState === GAME_STATES.MENU || previousState === GAME_STATES.GAME_OVER)) {
+        startNewRun();
+        return true;
+    }
+    
+    game.state = nextState;
+    game.stateTimer = 0;
+    game.isPaused = false;
+    
+    switch (nextState) {
+        case GAME_STATES.PLAYING:
+            if (previousState === GAME_STATES.SHOP) {
+                game.perkDraft = [];
+                startNextLevel();
+            }
+            break;
+        case GAME_STATES.SHOP:
+            game.perkDraft = draftPerks();
+            break;
+        case GAME_STATES.LEVEL_CLEAR:
+            game.powerPelletActive = false;
+            game.powerPelletTimer = 0;
+            game.comboCounter = 0;
+            game.stateTimer = LEVEL_CLEAR_TICKS;
+            break;
+    }
+    
+    emitGameEvent('stateChange', { from: previousState, to: nextState });
+    return true;
+}
+
+// Game theory and strategic elements
+function calculateOptimalStrategy() {
+    // Analyze current game state for strategic recommendations
+    const playerSafety = calculatePlayerSafety();
+    const resourceDistribution = analyzeResourceDistribution();
+    const enemyThreatLevel = calculateEnemyThreatLevel();
+    
+    return {
+        safety: playerSafety,
+        resources: resourceDistribution,
+        threat: enemyThreatLevel,
+        recommendation: getStrategicRecommendation(playerSafety, enemyThreatLevel)
+    };
+}
+
+function calculatePlayerSafety() {
+    let safePaths = 0;
+    let totalPaths = 0;
+    
+    // Check escape routes from current position
+    const directions = [{x: 1, y: 0}, {x: -1, y: 0}, {x: 0, y: 1}, {x: 0, y: -1}];
+    
+    directions.forEach(dir => {
+        let distance = 0;
+        let x = player.x;
+        let y = player.y;
+        
+        // Check how far we can go in this direction
+        while (distance < 5) {
+            x += dir.x;
+            y += dir.y;
+            
+            if (x <= 0 || x >= GRID_WIDTH - 1 || y <= 0 || y >= GRID_HEIGHT - 1 || grid[y][x] === 1) {
+                break;
+            }
+            
+            distance++;
+            totalPaths++;
+            
+            // Check if any enemies are in this path
+            let enemyInPath = enemies.some(enemy => 
+                Math.abs(enemy.x - x) + Math.abs(enemy.y - y) <= 2 && isEnemyThreat(enemy)
+            );
+            
+            if (!enemyInPath) {
+                safePaths++;
+            }
+        }
+    });
+    
+    return totalPaths > 0 ? safePaths / totalPaths : 0;
+}
+
+function analyzeResourceDistribution() {
+    let dotsNearPlayer = 0;
+    let pelletsNearPlayer = 0;
+    let totalDots = 0;
+    let totalPellets = 0;
+    
+    for (let y = 0; y < GRID_HEIGHT; y++) {
+        for (let x = 0; x < GRID_WIDTH; x++) {
+            const distance = Math.abs(x - player.x) + Math.abs(y - player.y);
+            
+            if (items[y][x] === 2) {
+                totalDots++;
+                if (distance <= 5) dotsNearPlayer++;
+            } else if (items[y][x] === 3) {
+                totalPellets++;
+                if (distance <= 5) pelletsNearPlayer++;
+            }
+        }
+    }
+    
+    return {
+        dotsNearby: dotsNearPlayer,
+        pelletsNearby: pelletsNearPlayer,
+        totalDots,
+        totalPellets
+    };
+}
+
+function calculateEnemyThreatLevel() {
+    let immediateThreats = 0;
+    let nearbyThreats = 0;
+    
+    enemies.forEach(enemy => {
+        if (!isEnemyThreat(enemy)) return;
+        
+        const distance = Math.abs(enemy.x - player.x) + Math.abs(enemy.y - player.y);
+        
+        if (distance <= 2) {
+            immediateThreats++;
+        } else if (distance <= 5) {
+            nearbyThreats++;
+        }
+    });
+    
+    return {
+        immediate: immediateThreats,
+        nearby: nearbyThreats,
+        total: immediateThreats + nearbyThreats
+    };
+}
+
+function getStrategicRecommendation(safety, threatLevel) {
+    if (threatLevel.immediate > 0 && safety < 0.3) {
+        return "DANGER: Find power pellet or escape immediately!";
+    } else if (game.powerPelletActive && threatLevel.total > 0) {
+        return "OPPORTUNITY: Hunt enemies for bonus points!";
+    } else if (game.comboCounter > 3) {
+        return "COMBO: Keep collecting dots quickly!";
+    } else if (safety > 0.7) {
+        return "SAFE: Good positioning, continue collecting.";
+    } else {
+        return "CAUTION: Watch for enemy patterns.";
+    }
+}
+
+// One fixed simulation tick
+function update() {
+    // Replays stop exactly on their last recorded tick; nothing runs behind the menu
+    if (game.isPaused || isReplayFinished() || game.state === GAME_STATES.MENU) return;
+    
+    game.tick++;
+    processCommands();
+    
+    // Count down the level clear banner before opening the shop
+    if (game.state === GAME_STATES.LEVEL_CLEAR) {
+        game.stateTimer--;
+        if (game.stateTimer <= 0) {
+            setGameState(GAME_STATES.SHOP);
+        }
+        return;
+    }
+    
+    if (game.state !== GAME_STATES.PLAYING) return;
+    
+    // Update power pellet timer
+    if (game.powerPelletActive) {
+        game.powerPelletTimer--;
+        if (game.powerPelletTimer <= 0) {
+            game.powerPelletActive = false;
+            game.ghostChain = 0;
+            enemies.forEach(enemy => {
+                enemy.scared = false;
+                enemy.scaredTimer = 0;
+            });
+        }
+    }
+    
+    updateEnemyPhase();
+    
+    // Update player
+    updatePlayer();
+    
+    // Clearing the board ends the tick before enemies get another move
+    if (game.state !== GAME_STATES.PLAYING) return;
+    
+    // Update enemies with improved AI
+    updateEnemies();
+    
+    if (boss && game.state === GAME_STATES.PLAYING) {
+        updateBoss();
+    }
+}
+
+// Compares the heap-based search against the original implementation on freshly generated
+// boards of every theme. The live board and random streams are restored afterwards.
+function benchmarkPathfinding(queriesPerTheme = 2000, seed = 12345) {
+    const savedGrid = grid;
+    const savedItems = items;
+    const savedSize = { width: GRID_WIDTH, height: GRID_HEIGHT };
+    const savedTeleporters = teleporters;
+    const savedLevelRng = levelRng;
+    const queryRng = createRng(seed);
+    const now = typeof performance !== 'undefined' ? () => performance.now() : () => Date.now();
+    const results = [];
+    
+    LEVEL_THEMES.forEach((theme, themeIndex) => {
+        const level = themeIndex * 3 + 1;
+        buildLevelGrid(level, deriveSeed(seed, level), false, theme);
+        
+        const openCells = [];
+        for (let y = 1; y < GRID_HEIGHT - 1; y++) {
+            for (let x = 1; x < GRID_WIDTH - 1; x++) {
+                if (grid[y][x] !== 1) openCells.push({x, y});
+            }
+        }
+        
+        const queries = [];
+        for (let i = 0; i < queriesPerTheme; i++) {
+            queries.push([openCells[queryRng.int(openCells.length)], openCells[queryRng.int(openCells.length)]]);
+        }
+        
+        // Warm both implementations up so JIT compilation isn't billed to whichever runs first
+        queries.slice(0, 50).forEach(([from, to]) => {
+            searchPathLegacy(from.x, from.y, to.x, to.y);
+            searchPath(from.x, from.y, to.x, to.y);
+        });
+        
+        let legacyLength = 0;
+        let startTime = now();
+        queries.forEach(([from, to]) => {
+            const path = searchPathLegacy(from.x, from.y, to.x, to.y);
+            legacyLength += path ? path.length : 0;
+        });
+        const legacyMs = now() - startTime;
+        
+        let heapLength = 0;
+        startTime = now();
+        queries.forEach(([from, to]) => {
+            const path = searchPath(from.x, from.y, to.x, to.y);
+            heapLength += path ? path.length : 0;
+        });
+        const heapMs = now() - startTime;
+        
+        results.push({
+            theme,
+            queries: queriesPerTheme,
+            legacyMs: Math.round(legacyMs * 100) / 100,
+            heapMs: Math.round(heapMs * 100) / 100,
+            speedup: Math.round(legacyMs / Math.max(heapMs, 0.001) * 10) / 10,
+            legacyAvgLength: Math.round(legacyLength / queriesPerTheme * 10) / 10,
+            heapAvgLength: Math.round(heapLength / queriesPerTheme * 10) / 10
+        });
+    });
+    
+    setGridSize(savedSize.width, savedSize.height);
+    grid = savedGrid;
+    items = savedItems;
+    setTeleporters(savedTeleporters);
+    levelRng = savedLevelRng;
+    return results;
+}
+
+// Replays: the run seed plus every command tagged with the tick it was applied on.
+// Level generation and enemy AI only draw from the seeded streams, so feeding the same
+// commands back through update() reproduces the run exactly. The header also records the
+// meta unlocks the run started with and, for play-tests, the hand-authored first level.
+// Compact command entries:
+//   [tick, 'direction', 'up']  [tick, 'purchase', 'speed']  [tick, 'pickPerk', 'longChain']  [tick, 'continue']
+const REPLAY_VERSION = 15;  // v15: every hunting enemy takes part in the squad plan, so older replays no longer reproduce
+
+let replayRecording = null;
+let replayPlayback = null;
+
+function startReplayRecording(runSeed, unlocks, customLevel) {
+    replayRecording = { version: REPLAY_VERSION, seed: runSeed, unlocks: { ...unlocks }, commands: [] };
+    if (customLevel) {
+        replayRecording.customLevel = customLevel;
+    }
+}
+
+function recordCommand(command) {
+    if (!replayRecording || replayPlayback) return;
+    
+    const entry = [game.tick, command.type];
+    if (command.type === 'direction') entry.push(command.direction);
+    if (command.type === 'purchase') entry.push(command.upgrade);
+    if (command.type === 'pickPerk') entry.push(command.perk);
+    replayRecording.commands.push(entry);
+}
+
+function decodeReplayCommand(entry) {
+    switch (entry[1]) {
+        case 'direction': return { type: 'direction', direction: entry[2] };
+        case 'purchase': return { type: 'purchase', upgrade: entry[2] };
+        case 'pickPerk': return { type: 'pickPerk', perk: entry[2] };
+        default: return { type: entry[1] };
+    }
+}
+
+// The replay being played back, a snapshot of the run recorded so far, or null before any run
+function getReplay() {
+    if (replayPlayback) {
+        return replayPlayback.replay;
+    }
+    if (!replayRecording) return null;
+    return {
+        ...replayRecording,
+        commands: replayRecording.commands.slice(),
+        endTick: game.tick,
+        finalScore: game.score,
+        finalLevel: game.level
+    };
+}
+
+function isValidReplay(data) {
+    if (!data || data.version !== REPLAY_VERSION || !isValidUnlocks(data.unlocks)) return false;
+    if (!Number.isInteger(data.seed) || data.seed < 0) return false;
+    if (!Number.isInteger(data.endTick)) return false;
+    if (data.customLevel !== undefined && validateCustomLevel(data.customLevel).errors.length > 0) return false;
+    return isValidReplayCommands(data.commands);
+}
+
+function isValidReplayCommands(commands) {
+    if (!Array.isArray(commands)) return false;
+    
+    let lastTick = 0;
+    return commands.every(entry => {
+        if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || entry[0] < lastTick) return false;
+        lastTick = entry[0];
+        
+        switch (entry[1]) {
+            case 'direction': return Boolean(DIRECTIONS[entry[2]]);
+            case 'purchase': return Boolean(UPGRADES[entry[2]]);
+            case 'pickPerk': return Boolean(PERKS[entry[2]]);
+            case 'continue': return true;
+            default: return false;
+        }
+    });
+}
+
+function readReplayCommands() {
+    const commands = [];
+    const entries = replayPlayback.replay.commands;
+    
+    while (replayPlayback.cursor < entries.length && entries[replayPlayback.cursor][0] <= game.tick) {
+        commands.push(decodeReplayCommand(entries[replayPlayback.cursor]));
+        replayPlayback.cursor++;
+    }
+    return commands;
+}
+
+function startReplay(replay) {
+    if (!isValidReplay(replay)) return false;
+    
+    replayPlayback = { replay, cursor: 0 };
+    beginRun(replay.seed, replay.unlocks, replay.customLevel);
+    emitGameEvent('runStarted', { seed: replay.seed, custom: false });
+    emitGameEvent('replayStarted', { endTick: replay.endTick });
+    return true;
+}
+
+function stopReplay() {
+    replayPlayback = null;
+    emitGameEvent('replayStopped');
+}
+
+function isReplayFinished() {
+    return Boolean(replayPlayback) && game.tick >= replayPlayback.replay.endTick;
+}
+
+// Replays and editor play-tests don't count as runs: no history, rewards or save slot.
+// Reads the playback state itself, so it's already right while startReplay's run begins.
+function isRecordedRun() {
+    return !replayPlayback && !game.customStart;
+}
+
+// Scrubbing re-simulates from the start - cheap at this board size and always exact
+function seekReplay(targetTick) {
+    if (!replayPlayback) return;
+    
+    beginRun(replayPlayback.replay.seed, replayPlayback.replay.unlocks, replayPlayback.replay.customLevel);
+    
+    const endTick = Math.min(targetTick, replayPlayback.replay.endTick);
+    while (game.tick < endTick) {
+        update();
+    }
+}
+
+// Save slots: a full snapshot of the simulation, restorable mid-run. Everything else (path
+// caches, distance fields, scratch buffers) is derived from the grid and rebuilt on demand.
+// The recording so far travels with the save so a resumed run still exports a complete replay.
+const SAVE_VERSION = 14;
+
+// Plain JSON snapshot of the run in progress
+function serializeSimulation() {
+    return JSON.parse(JSON.stringify({
+        version: SAVE_VERSION,
+        gridWidth: GRID_WIDTH,
+        gridHeight: GRID_HEIGHT,
+        game,
+        player,
+        enemies,
+        boss,
+        grid,
+        items,
+        teleporters,
+        currentTheme,
+        inputBuffer,
+        rng: { level: levelRng.getState(), ai: aiRng.getState() },
+        replay: replayRecording
+    }));
+}
+
+function isValidEffects(effects) {
+    return Boolean(effects) && Object.keys(effects).every(id => STATUS_EFFECTS[id] &&
+        Number.isInteger(effects[id].remaining) && effects[id].remaining > 0 &&
+        Number.isInteger(effects[id].stacks) && effects[id].stacks >= 1);
+}
+
+function isValidSave(data) {
+    if (!data || data.version !== SAVE_VERSION) return false;
+    const width = data.gridWidth;
+    const height = data.gridHeight;
+    if (!isValidGridSize(width, height)) return false;
+    
+    const isCell = (x, y) => Number.isInteger(x) && Number.isInteger(y) &&
+        x >= 0 && x < width && y >= 0 && y < height;
+    
+    if (!Array.isArray(data.grid) || data.grid.length !== height) return false;
+    const gridOk = data.grid.every(row => Array.isArray(row) && row.length === width &&
+        row.every(tile => Number.isInteger(tile) && tile >= 0 && tile <= MAX_TILE && !ITEM_TILES.includes(tile)));
+    if (!gridOk) return false;
+    if (!Array.isArray(data.items) || data.items.length !== height) return false;
+    const itemsOk = data.items.every(row => Array.isArray(row) && row.length === width &&
+        row.every(item => item === 0 || ITEM_TILES.includes(item)));
+    if (!itemsOk) return false;
+    
+    // Only runs in progress are saved; the menu and game over screens have nothing to resume
+    const savedGame = data.game;
+    if (!savedGame || ![GAME_STATES.PLAYING, GAME_STATES.LEVEL_CLEAR, GAME_STATES.SHOP].includes(savedGame.state)) {
+        return false;
+    }
+    const numericFields = ['score', 'level', 'lives', 'multiplier', 'tick', 'playerSpeed', 'enemySpeed',
+        'dotsCollected', 'totalDots', 'powerPelletTimer', 'powerPelletDuration', 'ghostChain', 'runSeed', 'levelSeed'];
+    if (!numericFields.every(field => Number.isFinite(savedGame[field]))) return false;
+    if (!savedGame.upgradeLevels || !Object.keys(UPGRADES).every(type => Number.isInteger(savedGame.upgradeLevels[type]))) {
+        return false;
+    }
+    if (!isValidUnlocks(savedGame.unlocks)) return false;
+    if (!savedGame.perks || !Object.keys(savedGame.perks).every(id => PERKS[id] &&
+        Number.isInteger(savedGame.perks[id]) && savedGame.perks[id] >= 1 && savedGame.perks[id] <= PERKS[id].maxStacks)) {
+        return false;
+    }
+    if (!Array.isArray(savedGame.perkDraft) || !savedGame.perkDraft.every(id => PERKS[id]) || !savedGame.perkState) return false;
+    const phase = savedGame.enemyPhase;
+    if (!phase || ![ENEMY_PHASES.SCATTER, ENEMY_PHASES.CHASE].includes(phase.mode) ||
+        !Number.isInteger(phase.step) || !Number.isInteger(phase.timer)) {
+        return false;
+    }
+    
+    const savedPlayer = data.player;
+    if (!savedPlayer || !isCell(savedPlayer.x, savedPlayer.y) || !isCell(savedPlayer.prevX, savedPlayer.prevY)) return false;
+    if (data.grid[savedPlayer.y][savedPlayer.x] === 1 || !savedPlayer.direction) return false;
+    if (!Number.isInteger(savedPlayer.teleportCooldown) || !isValidEffects(savedPlayer.effects)) return false;
+    if (!savedGame.playerSpawn || !isCell(savedGame.playerSpawn.x, savedGame.playerSpawn.y)) return false;
+    const home = savedGame.enemyHome;
+    if (home !== null && !(home && home.door && isCell(home.x, home.y) && isCell(home.door.x, home.door.y))) return false;
+    
+    if (!Array.isArray(data.enemies)) return false;
+    const enemiesOk = data.enemies.every(enemy => enemy && isCell(enemy.x, enemy.y) && isCell(enemy.prevX, enemy.prevY) &&
+        enemy.spawn && isCell(enemy.spawn.x, enemy.spawn.y) &&
+        (enemy.archetype === null || enemyArchetypes[enemy.archetype]) && enemyBehaviors[enemy.behavior] &&
+        Number.isFinite(enemy.moveTimer) && Number.isFinite(enemy.personalityTimer) &&
+        Number.isInteger(enemy.teleportCooldown) && isValidEffects(enemy.effects) &&
+        typeof enemy.eaten === 'boolean' && Number.isInteger(enemy.releaseTimer) && typeof enemy.reversePending === 'boolean' &&
+        enemy.lastDirection && typeof enemy.seesPlayer === 'boolean' &&
+        (enemy.squadTarget === null || (enemy.squadTarget && isCell(enemy.squadTarget.x, enemy.squadTarget.y))) &&
+        (enemy.lastSeen === null || (enemy.lastSeen && isCell(enemy.lastSeen.x, enemy.lastSeen.y) && Number.isInteger(enemy.lastSeen.age))));
+    if (!enemiesOk) return false;
+    
+    const savedBoss = data.boss;
+    if (savedBoss !== null && !(savedBoss && isCell(savedBoss.x, savedBoss.y) &&
+        isCell(savedBoss.x + BOSS_SIZE - 1, savedBoss.y + BOSS_SIZE - 1) && isCell(savedBoss.prevX, savedBoss.prevY) &&
+        Number.isInteger(savedBoss.health) && savedBoss.health > 0 && savedBoss.health <= savedBoss.maxHealth &&
+        Object.values(BOSS_PHASES).includes(savedBoss.phase) && Number.isFinite(savedBoss.moveTimer) &&
+        ['stunTimer', 'minionTimer', 'minionsSpawned', 'pelletsLeft'].every(field => Number.isInteger(savedBoss[field])) &&
+        savedBoss.lastDirection)) {
+        return false;
+    }
+    
+    if (!Array.isArray(data.teleporters)) return false;
+    const teleportersOk = data.teleporters.every(pair => pair && Number.isInteger(pair.id) &&
+        Array.isArray(pair.ends) && pair.ends.length === 2 &&
+        pair.ends.every(end => end && isCell(end.x, end.y) && data.grid[end.y][end.x] === 4));
+    if (!teleportersOk) return false;
+    
+    if (!LEVEL_THEMES.includes(data.currentTheme)) return false;
+    if (!Array.isArray(data.inputBuffer) || !data.inputBuffer.every(direction => DIRECTIONS[direction])) return false;
+    if (!data.rng || !Number.isInteger(data.rng.level) || !Number.isInteger(data.rng.ai)) return false;
+    
+    const replay = data.replay;
+    return Boolean(replay) && replay.version === REPLAY_VERSION && replay.seed === savedGame.runSeed &&
+        isValidReplayCommands(replay.commands);
+}
+
+// Replaces the current run with a saved one; corrupt or incompatible saves are rejected
+function restoreSimulation(data) {
+    if (!isValidSave(data)) {
+        console.warn('Ignoring corrupt or incompatible save');
+        return false;
+    }
+    
+    const snapshot = JSON.parse(JSON.stringify(data));
+    const previousState = game.state;
+    
+    if (replayPlayback) {
+        stopReplay();
+    }
+    
+    game = snapshot.game;
+    player = snapshot.player;
+    enemies = snapshot.enemies;
+    boss = snapshot.boss;
+    setGridSize(snapshot.gridWidth, snapshot.gridHeight);
+    grid = snapshot.grid;
+    items = snapshot.items;
+    setTeleporters(snapshot.teleporters);
+    currentTheme = snapshot.currentTheme;
+    inputBuffer = snapshot.inputBuffer;
+    levelRng.setState(snapshot.rng.level);
+    aiRng.setState(snapshot.rng.ai);
+    replayRecording = snapshot.replay;
+    tickAccumulator = 0;
+    
+    emitGameEvent('stateChange', { from: previousState, to: game.state });
+    emitGameEvent('runStarted', { seed: game.runSeed, custom: false });
+    return true;
+}
+
+// Game events let the shell react to the simulation without the core touching the DOM
+const gameEventListeners = [];
+
+function onGameEvent(listener) {
+    gameEventListeners.push(listener);
+}
+
+function emitGameEvent(type, detail = {}) {
+    gameEventListeners.forEach(listener => listener(type, detail));
+}
+
+// Fixed-timestep driver - runs update() at TICK_RATE for the elapsed wall time,
+// then hands the leftover fraction of a tick to the renderer for interpolation
+let renderer = null;
+let tickAccumulator = 0;
+
+function setRenderer(newRenderer) {
+    renderer = newRenderer;
+}
+
+function advance(elapsedMs) {
+    tickAccumulator += Math.min(MAX_FRAME_MS, elapsedMs);
+    
+    while (tickAccumulator >= TICK_MS) {
+        update();
+        tickAccumulator -= TICK_MS;
+    }
+    
+    if (renderer) {
+        renderer.render(tickAccumulator / TICK_MS);
+    }
+}
+
+// Runs the simulation for a number of ticks without rendering (tests, tools, replay stepping)
+function runTicks(count) {
+    for (let i = 0; i < count; i++) {
+        update();
+    }
+}
+
+function getPathfindingStats() {
+    return {
+        paths: { ...pathfindingCache.stats, size: pathfindingCache.size },
+        fields: { ...distanceFieldCache.stats, size: distanceFieldCache.size },
+        gridVersion
+    };
+}
+
+function getSimulationState() {
+    return { game, player, enemies, boss, grid, items, teleporters };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // Getters, since the board size changes from level to level
+        get GRID_WIDTH() { return GRID_WIDTH; },
+        get GRID_HEIGHT() { return GRID_HEIGHT; },
+        GAME_STATES,
+        TICK_RATE,
+        TICK_MS,
+        DIRECTIONS,
+        UPGRADES,
+        META_UNLOCKS,
+        PERKS,
+        REPLAY_VERSION,
+        LEVEL_FORMAT,
+        LEVEL_FORMAT_VERSION,
+        STATUS_EFFECTS,
+        ENEMY_BEHAVIORS,
+        ENEMY_PHASES,
+        registerEnemyBehavior,
+        registerEnemyArchetype,
+        getRosterForLevel,
+        SAVE_VERSION,
+        createRng,
+        createEmptyUnlocks,
+        isValidUnlocks,
+        getMetaUnlockCost,
+        isMetaUnlockAvailable,
+        canPurchaseMetaUnlock,
+        calculateMetaReward,
+        setMetaUnlocks,
+        hashSeed,
+        deriveSeed,
+        getGridSizeForLevel,
+        startNewRun,
+        generateLevel,
+        validateCustomLevel,
+        loadCustomLevel,
+        findPath,
+        benchmarkPathfinding,
+        getDistanceField,
+        getPathfindingStats,
+        setTile,
+        getEnemyMove,
+        getEnemyPhase,
+        solveAssignment,
+        BOSS_PHASES,
+        isBossLevel,
+        update,
+        advance,
+        runTicks,
+        setInputSource,
+        setRenderer,
+        onGameEvent,
+        purchaseUpgrade,
+        getUpgradeCost,
+        pickPerk,
+        continueFromShop,
+        returnToMenu,
+        togglePause,
+        getReplay,
+        isValidReplay,
+        startReplay,
+        stopReplay,
+        seekReplay,
+        isReplayFinished,
+        isRecordedRun,
+        serializeSimulation,
+        isValidSave,
+        restoreSimulation,
+        calculateOptimalStrategy,
+        getSimulationState
+    };
+}
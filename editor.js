@@ -0,0 +1,324 @@
+// Level editor: paint tiles, place spawns, validate and play-test hand-authored boards.
+// Levels are edited and exported in the custom level format documented above
+// validateCustomLevel in core.js, and play-tested through startNewRun like any other run.
+let editorView = {
+    active: false,
+    playtesting: false,
+    tool: '1',  // Terrain code, item code ('2', '3', '5'), 'player' or 'enemy'
+    painting: false,
+    level: createBlankLevel()
+};
+
+// Walled border, dots everywhere else, one enemy in the far corner. Defaults to the first level's size.
+function createBlankLevel(width = getGridSizeForLevel(1).width, height = getGridSizeForLevel(1).height) {
+    const cells = [];
+    const items = [];
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        const itemRow = [];
+        for (let x = 0; x < width; x++) {
+            const isBorder = x === 0 || x === width - 1 || y === 0 || y === height - 1;
+            row.push(isBorder ? 1 : 0);
+            itemRow.push(isBorder ? 0 : 2);
+        }
+        cells.push(row);
+        items.push(itemRow);
+    }
+    items[1][1] = 0;
+    
+    return {
+        name: 'Untitled',
+        theme: LEVEL_THEMES[0],
+        cells,
+        items,
+        playerSpawn: { x: 1, y: 1 },
+        enemies: [{ x: width - 2, y: height - 2, archetype: Object.keys(enemyArchetypes)[0] }]
+    };
+}
+
+function exportEditorLevel() {
+    const level = editorView.level;
+    return {
+        format: LEVEL_FORMAT,
+        version: LEVEL_FORMAT_VERSION,
+        name: level.name,
+        theme: level.theme,
+        width: level.cells[0].length,
+        height: level.cells.length,
+        tiles: encodeLevelTiles(level.cells),
+        items: encodeLevelTiles(level.items),
+        playerSpawn: { ...level.playerSpawn },
+        enemies: level.enemies.map(enemy => ({ ...enemy }))
+    };
+}
+
+// Accepts any structurally valid level file, even one that fails reachability, so it can be fixed here
+function importEditorLevel(data) {
+    const { errors, report } = validateCustomLevel(data);
+    if (!report) {
+        setEditorStatus(errors);
+        return false;
+    }
+    
+    const layers = decodeLevelLayers(data);
+    editorView.level = {
+        name: data.name || 'Untitled',
+        theme: data.theme || LEVEL_THEMES[0],
+        cells: layers.terrain,
+        items: layers.items,
+        playerSpawn: { x: data.playerSpawn.x, y: data.playerSpawn.y },
+        enemies: data.enemies.map(enemy => ({ x: enemy.x, y: enemy.y, archetype: enemy.archetype, behavior: enemy.behavior }))
+    };
+    refreshEditorFields();
+    setEditorStatus(errors);
+    return true;
+}
+
+function setEditorStatus(errors) {
+    const status = document.getElementById('editorStatus');
+    status.textContent = errors.length ? errors.join('. ') : 'Level is valid';
+    status.classList.toggle('invalid', errors.length > 0);
+}
+
+function validateEditorLevel() {
+    const { errors } = validateCustomLevel(exportEditorLevel());
+    setEditorStatus(errors);
+    return errors.length === 0;
+}
+
+const editorRenderer = {
+    render() {
+        renderEditor();
+    }
+};
+
+function renderEditor() {
+    const level = editorView.level;
+    const width = level.cells[0].length;
+    const height = level.cells.length;
+    fitCanvas(width, height);
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, width * CELL_SIZE, height * CELL_SIZE);
+    
+    // Show teleporters in the colors they'll pair up with in game
+    const teleporterIds = new Map();
+    pairTeleporterCells(level.cells).forEach(pair => {
+        pair.ends.forEach(end => teleporterIds.set(end.y * width + end.x, pair.id));
+    });
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const teleporterId = teleporterIds.has(y * width + x) ? teleporterIds.get(y * width + x) : -1;
+            drawTile(x, y, level.cells[y][x], teleporterId);
+            drawItem(x, y, level.items[y][x]);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+        }
+    }
+    
+    // Player spawn
+    ctx.fillStyle = '#ff0';
+    ctx.beginPath();
+    ctx.arc(level.playerSpawn.x * CELL_SIZE + CELL_SIZE/2, level.playerSpawn.y * CELL_SIZE + CELL_SIZE/2, CELL_SIZE/2 - 2, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Enemy spawns in their archetype's color, labelled with its initial (or the behavior's, for
+    // spawns from files that only give a behavior)
+    level.enemies.forEach((enemy, index) => {
+        const archetype = enemyArchetypes[enemy.archetype];
+        const label = archetype ? archetype.label : enemy.behavior;
+        ctx.fillStyle = (archetype && archetype.color) || ENEMY_COLORS[index % ENEMY_COLORS.length];
+        ctx.fillRect(enemy.x * CELL_SIZE + 2, enemy.y * CELL_SIZE + 2, CELL_SIZE - 4, CELL_SIZE - 4);
+        ctx.fillStyle = '#fff';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(label.charAt(0).toUpperCase(), enemy.x * CELL_SIZE + CELL_SIZE/2, enemy.y * CELL_SIZE + CELL_SIZE - 5);
+        ctx.textAlign = 'start';
+    });
+}
+
+function getEditorCell(e) {
+    const width = editorView.level.cells[0].length;
+    const height = editorView.level.cells.length;
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left - canvas.clientLeft) / canvas.clientWidth * width);
+    const y = Math.floor((e.clientY - rect.top - canvas.clientTop) / canvas.clientHeight * height);
+    if (x < 0 || x >= width || y < 0 || y >= height) return null;
+    return { x, y };
+}
+
+// Tiles paint while dragging; spawns are placed one click at a time
+function applyEditorTool(cell, isDrag) {
+    const level = editorView.level;
+    
+    if (editorView.tool === 'player') {
+        if (!isDrag) level.playerSpawn = cell;
+    } else if (editorView.tool === 'enemy') {
+        if (isDrag) return;
+        
+        // Clicking an existing spawn removes it
+        const existing = level.enemies.findIndex(enemy => enemy.x === cell.x && enemy.y === cell.y);
+        if (existing !== -1) {
+            level.enemies.splice(existing, 1);
+        } else if (level.enemies.length < MAX_ENEMIES) {
+            level.enemies.push({ x: cell.x, y: cell.y, archetype: document.getElementById('editorArchetype').value });
+        }
+    } else if (ITEM_TILES.includes(Number(editorView.tool))) {
+        // Items need something to sit on, so painting one over a wall or teleporter clears it to floor
+        if (!canHoldItem(cell.x, cell.y, level.cells)) level.cells[cell.y][cell.x] = 0;
+        level.items[cell.y][cell.x] = Number(editorView.tool);
+    } else {
+        const tile = Number(editorView.tool);
+        level.cells[cell.y][cell.x] = tile;
+        // Empty clears the item too; walls and teleporters can't hold one
+        if (tile === 0 || !canHoldItem(cell.x, cell.y, level.cells)) level.items[cell.y][cell.x] = 0;
+    }
+}
+
+canvas.addEventListener('mousedown', (e) => {
+    if (!editorView.active) return;
+    const cell = getEditorCell(e);
+    if (!cell) return;
+    
+    editorView.painting = true;
+    applyEditorTool(cell, false);
+});
+
+canvas.addEventListener('mousemove', (e) => {
+    if (!editorView.active || !editorView.painting) return;
+    const cell = getEditorCell(e);
+    if (cell) applyEditorTool(cell, true);
+});
+
+document.addEventListener('mouseup', () => {
+    editorView.painting = false;
+});
+
+function refreshEditorFields() {
+    document.getElementById('editorName').value = editorView.level.name;
+    document.getElementById('editorTheme').value = editorView.level.theme;
+    document.getElementById('editorWidth').value = editorView.level.cells[0].length;
+    document.getElementById('editorHeight').value = editorView.level.cells.length;
+    document.querySelectorAll('.editor-tool').forEach(button => {
+        button.classList.toggle('selected', button.dataset.tool === editorView.tool);
+    });
+}
+
+function openEditor() {
+    editorView.active = true;
+    editorView.playtesting = false;
+    closeMenu();
+    document.getElementById('editorPanel').style.display = 'block';
+    setRenderer(editorRenderer);
+    refreshEditorFields();
+    validateEditorLevel();
+}
+
+function closeEditor() {
+    editorView.active = false;
+    editorView.painting = false;
+    document.getElementById('editorPanel').style.display = 'none';
+    setRenderer(canvasRenderer);
+}
+
+// Populate the pickers from the core's lists so new themes and archetypes show up automatically
+Object.keys(enemyArchetypes).forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = enemyArchetypes[id].label;
+    document.getElementById('editorArchetype').appendChild(option);
+});
+
+LEVEL_THEMES.forEach(theme => {
+    const option = document.createElement('option');
+    option.value = theme;
+    option.textContent = theme;
+    document.getElementById('editorTheme').appendChild(option);
+});
+
+document.querySelectorAll('.editor-tool').forEach(button => {
+    button.addEventListener('click', () => {
+        editorView.tool = button.dataset.tool;
+        refreshEditorFields();
+    });
+});
+
+document.getElementById('editorName').addEventListener('input', (e) => {
+    editorView.level.name = e.target.value;
+});
+
+// Typing in the fields shouldn't steer, pause or toggle debug mode
+['editorName', 'editorWidth', 'editorHeight'].forEach(id => {
+    document.getElementById(id).addEventListener('keydown', (e) => e.stopPropagation());
+});
+
+document.getElementById('editorTheme').addEventListener('change', (e) => {
+    editorView.level.theme = e.target.value;
+});
+
+document.getElementById('editorValidateBtn').addEventListener('click', validateEditorLevel);
+
+document.getElementById('editorPlayBtn').addEventListener('click', () => {
+    if (!validateEditorLevel()) return;
+    
+    closeEditor();
+    startNewRun(getInitialRunSeed(), createEmptyUnlocks(), exportEditorLevel());
+});
+
+document.getElementById('editorExportBtn').addEventListener('click', () => {
+    const level = exportEditorLevel();
+    const slug = level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'level';
+    downloadJson(level, `pacman-level-${slug}.json`);
+});
+
+document.getElementById('editorImportBtn').addEventListener('click', () => {
+    document.getElementById('editorFileInput').click();
+});
+
+document.getElementById('editorFileInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    file.text().then(text => {
+        let data = null;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            data = null;
+        }
+        importEditorLevel(data);
+    });
+});
+
+// Starts a fresh board at the size in the width/height fields
+document.getElementById('editorClearBtn').addEventListener('click', () => {
+    const width = Number(document.getElementById('editorWidth').value);
+    const height = Number(document.getElementById('editorHeight').value);
+    if (!isValidGridSize(width, height)) {
+        setEditorStatus([`Board must be between ${MIN_GRID_SIZE.width}x${MIN_GRID_SIZE.height} and ${MAX_GRID_SIZE.width}x${MAX_GRID_SIZE.height}`]);
+        return;
+    }
+    
+    editorView.level = createBlankLevel(width, height);
+    refreshEditorFields();
+    validateEditorLevel();
+});
+
+document.getElementById('editorExitBtn').addEventListener('click', () => {
+    closeEditor();
+    openMenu();
+});
+
+document.getElementById('menuEditorBtn').addEventListener('click', openEditor);
+
+// Only runs on a hand-authored board are play-tests; any other run (Play Again, Menu -> Play,
+// a resumed save or a replay, even of a play-test) ends one. Leaving a play-test (game over -> main menu) comes back to the board being edited.
+onGameEvent((type, detail) => {
+    if (type === 'runStarted') {
+        editorView.playtesting = detail.custom;
+    } else if (type === 'stateChange' && detail.to === GAME_STATES.MENU && editorView.playtesting) {
+        openEditor();
+    }
+});
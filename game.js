@@ -1,771 +1,87 @@
+// Browser shell: canvas rendering, keyboard input and DOM panels on top of the simulation in core.js
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
-const CELL_SIZE = 20;
-const GRID_WIDTH = 30;
-const GRID_HEIGHT = 20;
-
-canvas.width = GRID_WIDTH * CELL_SIZE;
-canvas.height = GRID_HEIGHT * CELL_SIZE;
-
-// Game state with better balanced speeds
-let game = {
-    score: 0,
-    level: 1,
-    lives: 3,
-    multiplier: 1,
-    isPlaying: true,
-    isPaused: false,
-    playerSpeed: 12,  // Slower for better balance
-    enemySpeed: 16,   // Slower enemy speed for more strategic gameplay
-    dotsCollected: 0,
-    totalDots: 0,
-    powerPelletActive: false,
-    powerPelletTimer: 0,
-    difficulty: 1.0,
-    comboCounter: 0,
-    lastDotTime: 0,
-    basePlayerSpeed: 12,
-    baseEnemySpeed: 16,
-    maxSpeedIncrease: 8  // Limit speed increases for balance
-};
-
-// Player
-let player = {
-    x: 1,
-    y: 1,
-    moveTimer: 0,
-    direction: { x: 0, y: 0 }
-};
-
-// Enemies
-let enemies = [];
-
-// Grid
-let grid = [];
-
-// Enhanced pathfinding cache with TTL and size limits
-let pathfindingCache = new Map();
-let cacheStats = { hits: 0, misses: 0, size: 0 };
-const MAX_CACHE_SIZE = 500;
-const CACHE_TTL = 5000; // 5 seconds
-
-// Performance monitoring and theme tracking
+const CELL_SIZE = 20;  // Drawing units per cell; the canvas is scaled to fit the window
+const MAX_CANVAS_SCALE = 2;
+const CANVAS_MARGIN = { x: 40, y: 220 };  // Room left for the HUD and panels around the board
+
+let canvasFit = null;
+
+// Sizes the canvas for a board of the given size: CSS size fits the window, the backing store
+// matches the device pixel ratio so it stays crisp, and drawing stays in CELL_SIZE units.
+function fitCanvas(columns, rows) {
+    const dpr = window.devicePixelRatio || 1;
+    const key = [columns, rows, window.innerWidth, window.innerHeight, dpr].join();
+    if (canvasFit === key) return;
+    canvasFit = key;
+    
+    const boardWidth = columns * CELL_SIZE;
+    const boardHeight = rows * CELL_SIZE;
+    const scale = Math.min(MAX_CANVAS_SCALE,
+        Math.max(0.25, (window.innerWidth - CANVAS_MARGIN.x) / boardWidth),
+        Math.max(0.25, (window.innerHeight - CANVAS_MARGIN.y) / boardHeight));
+    
+    const cssWidth = Math.floor(boardWidth * scale);
+    const cssHeight = Math.floor(boardHeight * scale);
+    canvas.style.width = `${cssWidth}px`;
+    canvas.style.height = `${cssHeight}px`;
+    canvas.width = Math.round(cssWidth * dpr);
+    canvas.height = Math.round(cssHeight * dpr);
+    ctx.setTransform(canvas.width / boardWidth, 0, 0, canvas.height / boardHeight, 0, 0);
+}
+
+// Performance monitoring
 let performanceStats = {
     lastFrameTime: Date.now(),
     frameCount: 0,
     fps: 60
 };
 
-let currentTheme = 'classic';
-
-// Enhanced A* pathfinding with improved heuristics and cache management
-function findPath(startX, startY, endX, endY) {
-    const key = `${startX},${startY}-${endX},${endY}`;
-    const cached = pathfindingCache.get(key);
-    
-    // Check cache with TTL
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-        cacheStats.hits++;
-        return cached.path;
-    }
-    
-    cacheStats.misses++;
-    
-    // Manage cache size
-    if (pathfindingCache.size >= MAX_CACHE_SIZE) {
-        const oldestKey = pathfindingCache.keys().next().value;
-        pathfindingCache.delete(oldestKey);
-    }
-
-    // Early exit for same position
-    if (startX === endX && startY === endY) {
-        return [];
-    }
-
-    // Early exit if target is unreachable (wall)
-    if (grid[endY] && grid[endY][endX] === 1) {
-        pathfindingCache.set(key, { path: null, timestamp: Date.now() });
-        return null;
-    }
-
-    const openSet = [{x: startX, y: startY, g: 0, h: 0, f: 0, parent: null}];
-    const closedSet = new Set();
-    const openSetMap = new Map();
-    openSetMap.set(`${startX},${startY}`, openSet[0]);
-    
-    // Improved heuristic - consider both Manhattan and diagonal distance
-    function heuristic(x1, y1, x2, y2) {
-        const dx = Math.abs(x1 - x2);
-        const dy = Math.abs(y1 - y2);
-        return dx + dy + Math.min(dx, dy) * 0.1; // Slight preference for diagonal paths
-    }
-    
-    while (openSet.length > 0) {
-        // More efficient way to find minimum f-score
-        let currentIndex = 0;
-        for (let i = 1; i < openSet.length; i++) {
-            if (openSet[i].f < openSet[currentIndex].f) {
-                currentIndex = i;
-            }
-        }
-        
-        let current = openSet[currentIndex];
-        
-        // Remove current from open set
-        openSet.splice(currentIndex, 1);
-        openSetMap.delete(`${current.x},${current.y}`);
-        closedSet.add(`${current.x},${current.y}`);
-        
-        // Check if we reached the goal
-        if (current.x === endX && current.y === endY) {
-            let path = [];
-            while (current.parent) {
-                path.unshift({x: current.x, y: current.y});
-                current = current.parent;
-            }
-            pathfindingCache.set(key, { path: path, timestamp: Date.now() });
-            return path;
-        }
-        
-        // Check neighbors with improved movement costs
-        const neighbors = [
-            {x: current.x + 1, y: current.y, cost: 1},
-            {x: current.x - 1, y: current.y, cost: 1},
-            {x: current.x, y: current.y + 1, cost: 1},
-            {x: current.x, y: current.y - 1, cost: 1}
-        ];
-        
-        for (let neighbor of neighbors) {
-            const neighborKey = `${neighbor.x},${neighbor.y}`;
-            
-            if (neighbor.x < 0 || neighbor.x >= GRID_WIDTH || 
-                neighbor.y < 0 || neighbor.y >= GRID_HEIGHT ||
-                grid[neighbor.y][neighbor.x] === 1 ||
-                closedSet.has(neighborKey)) {
-                continue;
-            }
-            
-            let g = current.g + neighbor.cost;
-            let h = heuristic(neighbor.x, neighbor.y, endX, endY);
-            let f = g + h;
-            
-            let existing = openSetMap.get(neighborKey);
-            if (!existing) {
-                const newNode = {
-                    x: neighbor.x, 
-                    y: neighbor.y, 
-                    g: g, 
-                    h: h, 
-                    f: f, 
-                    parent: current
-                };
-                openSet.push(newNode);
-                openSetMap.set(neighborKey, newNode);
-            } else if (g < existing.g) {
-                existing.g = g;
-                existing.f = g + existing.h;
-                existing.parent = current;
-            }
-        }
-    }
-    
-    pathfindingCache.set(key, { path: null, timestamp: Date.now() });
-    return null; // No path found
-}
-
-// Enhanced procedural level generation with biomes and special features
-function generateLevel(level) {
-    grid = Array(GRID_HEIGHT).fill().map(() => Array(GRID_WIDTH).fill(0));
-    pathfindingCache.clear(); // Clear cache for new level
-    
-    // Determine level theme/biome
-    const themes = ['classic', 'fortress', 'labyrinth', 'chambers', 'spiral'];
-    const theme = themes[Math.min(themes.length - 1, Math.floor((level - 1) / 3))];
-    
-    // Create border walls
-    for (let y = 0; y < GRID_HEIGHT; y++) {
-        for (let x = 0; x < GRID_WIDTH; x++) {
-            if (x === 0 || x === GRID_WIDTH - 1 || y === 0 || y === GRID_HEIGHT - 1) {
-                grid[y][x] = 1;
-            }
-        }
-    }
-    
-    // Generate themed maze
-    generateThemedMaze(level, theme);
-    
-    // Add special features based on level
-    addSpecialFeatures(level);
-    
-    // Ensure connectivity with improved algorithm
-    ensureConnectivity();
-    
-    // Place strategic power pellets
-    placePowerPellets(level);
-    
-    // Place dots and count them
-    placeDots();
-    
-    // Clear starting areas
-    clearStartingAreas();
-    
-    // Generate enemies with advanced behaviors
-    generateAdvancedEnemies(level);
-    
-    // Update difficulty scaling with better balance
-    updateBalancedDifficulty(level);
-}
-
-function generateMaze(level) {
-    // Create a more interesting maze with varying complexity based on level
-    const complexity = Math.min(0.8, 0.3 + level * 0.05);
-    divideChamber(1, 1, GRID_WIDTH - 2, GRID_HEIGHT - 2, complexity);
-    
-    // Add some random walls for variety
-    const extraWalls = Math.floor(level / 3);
-    for (let i = 0; i < extraWalls; i++) {
-        let x = Math.floor(Math.random() * (GRID_WIDTH - 4)) + 2;
-        let y = Math.floor(Math.random() * (GRID_HEIGHT - 4)) + 2;
-        if (grid[y][x] === 0) {
-            grid[y][x] = 1;
-        }
-    }
-}
-
-function ensureConnectivity() {
-    // Simple flood fill to ensure all areas are reachable
-    let visited = Array(GRID_HEIGHT).fill().map(() => Array(GRID_WIDTH).fill(false));
-    let queue = [{x: 1, y: 1}];
-    visited[1][1] = true;
-    
-    while (queue.length > 0) {
-        let {x, y} = queue.shift();
-        const neighbors = [
-            {x: x+1, y: y}, {x: x-1, y: y}, 
-            {x: x, y: y+1}, {x: x, y: y-1}
-        ];
-        
-        for (let neighbor of neighbors) {
-            if (neighbor.x > 0 && neighbor.x < GRID_WIDTH-1 &&
-                neighbor.y > 0 && neighbor.y < GRID_HEIGHT-1 &&
-                !visited[neighbor.y][neighbor.x] && 
-                grid[neighbor.y][neighbor.x] !== 1) {
-                visited[neighbor.y][neighbor.x] = true;
-                queue.push(neighbor);
-            }
-        }
-    }
-    
-    // Connect unreachable areas
-    for (let y = 1; y < GRID_HEIGHT-1; y++) {
-        for (let x = 1; x < GRID_WIDTH-1; x++) {
-            if (!visited[y][x] && grid[y][x] !== 1) {
-                // Find nearest reachable cell and create a path
-                if (x > 1 && visited[y][x-1]) grid[y][x] = 0;
-                else if (y > 1 && visited[y-1][x]) grid[y][x] = 0;
-            }
-        }
-    }
-}
-
-function placePowerPellets(level) {
-    const powerPellets = Math.min(6, Math.floor(level / 2) + 2);
-    const corners = [
-        {x: 2, y: 2}, {x: GRID_WIDTH-3, y: 2},
-        {x: 2, y: GRID_HEIGHT-3}, {x: GRID_WIDTH-3, y: GRID_HEIGHT-3}
-    ];
-    
-    // Place some in corners for strategic gameplay
-    for (let i = 0; i < Math.min(powerPellets, 4); i++) {
-        if (grid[corners[i].y][corners[i].x] === 0) {
-            grid[corners[i].y][corners[i].x] = 3;
-        }
-    }
-    
-    // Place remaining randomly but strategically
-    let remaining = powerPellets - 4;
-    while (remaining > 0) {
-        let x = Math.floor(Math.random() * (GRID_WIDTH - 4)) + 2;
-        let y = Math.floor(Math.random() * (GRID_HEIGHT - 4)) + 2;
-        if (grid[y][x] === 0) {
-            grid[y][x] = 3;
-            remaining--;
-        }
-    }
-}
-
-function placeDots() {
-    game.totalDots = 0;
-    for (let y = 1; y < GRID_HEIGHT - 1; y++) {
-        for (let x = 1; x < GRID_WIDTH - 1; x++) {
-            if (grid[y][x] === 0) {
-                grid[y][x] = 2; // dot
-                game.totalDots++;
-            }
-        }
-    }
-}
-
-function clearStartingAreas() {
-    // Clear player starting area
-    grid[1][1] = 0;
-    grid[1][2] = 0;
-    grid[2][1] = 0;
-    
-    // Clear enemy starting area
-    grid[GRID_HEIGHT-2][GRID_WIDTH-2] = 0;
-    grid[GRID_HEIGHT-2][GRID_WIDTH-3] = 0;
-    grid[GRID_HEIGHT-3][GRID_WIDTH-2] = 0;
-    
-    player.x = 1;
-    player.y = 1;
-}
-
-function generateAdvancedEnemies(level) {
-    enemies = [];
-    let enemyCount = Math.min(8, Math.floor(level / 2) + 2); // Cap enemy count
-    
-    const behaviors = ['aggressive', 'patrol', 'ambush', 'random', 'coordinator', 'trapper'];
-    const colors = ['#ff4444', '#44ff44', '#4444ff', '#ffff44', '#ff44ff', '#44ffff', '#ff8844', '#8844ff'];
-    
-    for (let i = 0; i < enemyCount; i++) {
-        enemies.push({
-            x: GRID_WIDTH - 2,
-            y: GRID_HEIGHT - 2,
-            moveTimer: 0,
-            color: colors[i % colors.length],
-            scared: false,
-            scaredTimer: 0,
-            behavior: behaviors[i % behaviors.length],
-            patrolTarget: null,
-            lastDirection: {x: 0, y: 0},
-            personalityTimer: Math.random() * 60,
-            smartMode: false,
-            cooperationLevel: Math.min(1.0, level * 0.1), // Enemies cooperate more at higher levels
-            lastPlayerPosition: {x: player.x, y: player.y},
-            predictionAccuracy: Math.min(0.8, level * 0.05), // Better prediction at higher levels
-            id: i
-        });
-    }
-}
-
-function updateBalancedDifficulty(level) {
-    // More gradual and balanced difficulty scaling
-    game.difficulty = 1.0 + (level - 1) * 0.05; // Slower difficulty increase
-    
-    // Cap the speed increases to maintain playability
-    const speedReduction = Math.min(game.maxSpeedIncrease, Math.floor(level / 2));
-    game.enemySpeed = Math.max(8, game.baseEnemySpeed - speedReduction);
-    game.playerSpeed = Math.max(6, game.basePlayerSpeed - Math.floor(speedReduction * 0.6)); // Player speed reduces slower
-    
-    // Add strategic elements instead of just speed
-    if (level > 5) {
-        // Increase enemy coordination and smarter behaviors at higher levels
-        enemies.forEach(enemy => {
-            if (Math.random() < 0.1 * (level - 5)) {
-                enemy.smartMode = true; // Enhanced AI mode
-            }
-        });
-    }
-}
-
-// Improved maze generation using recursive division
-function divideChamber(x, y, width, height, complexity) {
-    if (width < 4 || height < 4) return;
-    
-    let horizontal = Math.random() < 0.5;
-    
-    if (horizontal) {
-        let wallY = y + 2 + Math.floor(Math.random() * (height - 3));
-        for (let wx = x; wx < x + width; wx++) {
-            grid[wallY][wx] = 1;
-        }
-        
-        // Create multiple holes for more interesting layouts
-        let holes = Math.random() < complexity ? 2 : 1;
-        for (let h = 0; h < holes; h++) {
-            let holeX = x + Math.floor(Math.random() * width);
-            grid[wallY][holeX] = 0;
-        }
-        
-        if (Math.random() < complexity) {
-            divideChamber(x, y, width, wallY - y, complexity);
-            divideChamber(x, wallY + 1, width, height - (wallY - y) - 1, complexity);
-        }
-    } else {
-        let wallX = x + 2 + Math.floor(Math.random() * (width - 3));
-        for (let wy = y; wy < y + height; wy++) {
-            grid[wy][wallX] = 1;
-        }
-        
-        // Create multiple holes for more interesting layouts
-        let holes = Math.random() < complexity ? 2 : 1;
-        for (let h = 0; h < holes; h++) {
-            let holeY = y + Math.floor(Math.random() * height);
-            grid[holeY][wallX] = 0;
-        }
-        
-        if (Math.random() < complexity) {
-            divideChamber(x, y, wallX - x, height, complexity);
-            divideChamber(wallX + 1, y, width - (wallX - x) - 1, height, complexity);
-        }
-    }
-}
-
-function generateThemedMaze(level, theme) {
-    const complexity = Math.min(0.8, 0.3 + level * 0.03); // Slower complexity increase
-    
-    switch (theme) {
-        case 'classic':
-            divideChamber(1, 1, GRID_WIDTH - 2, GRID_HEIGHT - 2, complexity);
-            break;
-        case 'fortress':
-            generateFortressLayout(complexity);
-            break;
-        case 'labyrinth':
-            generateLabyrinthLayout(complexity);
-            break;
-        case 'chambers':
-            generateChamberLayout(complexity);
-            break;
-        case 'spiral':
-            generateSpiralLayout(complexity);
-            break;
-    }
-    
-    // Add some random walls for variety but fewer than before
-    const extraWalls = Math.max(0, Math.floor(level / 5) - 2);
-    for (let i = 0; i < extraWalls; i++) {
-        let x = Math.floor(Math.random() * (GRID_WIDTH - 4)) + 2;
-        let y = Math.floor(Math.random() * (GRID_HEIGHT - 4)) + 2;
-        if (grid[y][x] === 0) {
-            grid[y][x] = 1;
-        }
-    }
-}
-
-function generateFortressLayout(complexity) {
-    // Create concentric rectangles
-    const layers = Math.floor(Math.min(GRID_WIDTH, GRID_HEIGHT) / 6);
-    for (let layer = 0; layer < layers; layer++) {
-        const offset = layer * 3 + 2;
-        if (offset >= GRID_WIDTH - 2 || offset >= GRID_HEIGHT - 2) break;
-        
-        // Draw fortress walls
-        for (let x = offset; x < GRID_WIDTH - offset; x++) {
-            grid[offset][x] = 1;
-            grid[GRID_HEIGHT - offset - 1][x] = 1;
-        }
-        for (let y = offset; y < GRID_HEIGHT - offset; y++) {
-            grid[y][offset] = 1;
-            grid[y][GRID_WIDTH - offset - 1] = 1;
-        }
-        
-        // Add gates
-        const gateCount = Math.floor(complexity * 4) + 1;
-        for (let g = 0; g < gateCount; g++) {
-            const side = Math.floor(Math.random() * 4);
-            switch (side) {
-                case 0: grid[offset][offset + Math.floor(Math.random() * (GRID_WIDTH - 2 * offset))] = 0; break;
-                case 1: grid[GRID_HEIGHT - offset - 1][offset + Math.floor(Math.random() * (GRID_WIDTH - 2 * offset))] = 0; break;
-                case 2: grid[offset + Math.floor(Math.random() * (GRID_HEIGHT - 2 * offset))][offset] = 0; break;
-                case 3: grid[offset + Math.floor(Math.random() * (GRID_HEIGHT - 2 * offset))][GRID_WIDTH - offset - 1] = 0; break;
-            }
-        }
-    }
-}
-
-function generateLabyrinthLayout(complexity) {
-    // Create a traditional labyrinth with winding paths
-    for (let y = 2; y < GRID_HEIGHT - 2; y += 2) {
-        for (let x = 2; x < GRID_WIDTH - 2; x += 2) {
-            grid[y][x] = 1;
-            
-            // Add walls in random directions
-            if (Math.random() < complexity) {
-                const directions = [{x: 0, y: 1}, {x: 1, y: 0}, {x: 0, y: -1}, {x: -1, y: 0}];
-                const dir = directions[Math.floor(Math.random() * directions.length)];
-                const newX = x + dir.x;
-                const newY = y + dir.y;
-                if (newX > 0 && newX < GRID_WIDTH - 1 && newY > 0 && newY < GRID_HEIGHT - 1) {
-                    grid[newY][newX] = 1;
-                }
-            }
-        }
-    }
-}
-
-function generateChamberLayout(complexity) {
-    // Create distinct chambers connected by corridors
-    const chamberCount = Math.floor(complexity * 6) + 3;
-    const chambers = [];
-    
-    // Generate chambers
-    for (let i = 0; i < chamberCount; i++) {
-        const width = Math.floor(Math.random() * 5) + 3;
-        const height = Math.floor(Math.random() * 4) + 3;
-        const x = Math.floor(Math.random() * (GRID_WIDTH - width - 2)) + 1;
-        const y = Math.floor(Math.random() * (GRID_HEIGHT - height - 2)) + 1;
-        
-        chambers.push({x, y, width, height});
-        
-        // Draw chamber walls
-        for (let cy = y; cy < y + height; cy++) {
-            for (let cx = x; cx < x + width; cx++) {
-                if (cx === x || cx === x + width - 1 || cy === y || cy === y + height - 1) {
-                    grid[cy][cx] = 1;
-                }
-            }
-        }
-        
-        // Add entrance
-        const side = Math.floor(Math.random() * 4);
-        switch (side) {
-            case 0: grid[y][x + Math.floor(width / 2)] = 0; break;
-            case 1: grid[y + height - 1][x + Math.floor(width / 2)] = 0; break;
-            case 2: grid[y + Math.floor(height / 2)][x] = 0; break;
-            case 3: grid[y + Math.floor(height / 2)][x + width - 1] = 0; break;
-        }
-    }
-    
-    // Connect chambers with corridors
-    for (let i = 0; i < chambers.length - 1; i++) {
-        const chamber1 = chambers[i];
-        const chamber2 = chambers[i + 1];
-        createCorridor(
-            chamber1.x + Math.floor(chamber1.width / 2),
-            chamber1.y + Math.floor(chamber1.height / 2),
-            chamber2.x + Math.floor(chamber2.width / 2),
-            chamber2.y + Math.floor(chamber2.height / 2)
-        );
-    }
-}
-
-function generateSpiralLayout(complexity) {
-    const centerX = Math.floor(GRID_WIDTH / 2);
-    const centerY = Math.floor(GRID_HEIGHT / 2);
-    const maxRadius = Math.min(centerX, centerY) - 2;
-    
-    let x = centerX;
-    let y = centerY;
-    let dx = 0;
-    let dy = -1;
-    
-    for (let i = 0; i < maxRadius * maxRadius; i++) {
-        if (x >= 1 && x < GRID_WIDTH - 1 && y >= 1 && y < GRID_HEIGHT - 1) {
-            if (Math.random() < complexity) {
-                grid[y][x] = 1;
-            }
-        }
-        
-        if (x === centerX + dx && y === centerY + dy || 
-            x === centerX - dx && y === centerY + dy ||
-            x === centerX - dx && y === centerY - dy ||
-            x === centerX + dx && y === centerY - dy) {
-            let temp = dx;
-            dx = -dy;
-            dy = temp;
-        }
-        
-        x += dx;
-        y += dy;
-    }
-}
-
-function createCorridor(x1, y1, x2, y2) {
-    let currentX = x1;
-    let currentY = y1;
-    
-    // Move horizontally first
-    while (currentX !== x2) {
-        grid[currentY][currentX] = 0;
-        currentX += currentX < x2 ? 1 : -1;
-    }
-    
-    // Then move vertically
-    while (currentY !== y2) {
-        grid[currentY][currentX] = 0;
-        currentY += currentY < y2 ? 1 : -1;
-    }
-}
-
-function addSpecialFeatures(level) {
-    // Add special level features every few levels
-    if (level % 5 === 0) {
-        // Add teleporters
-        addTeleporters();
-    }
-    
-    if (level % 3 === 0) {
-        // Add bonus areas
-        addBonusAreas();
-    }
-    
-    if (level % 7 === 0) {
-        // Add temporary safe zones
-        addSafeZones();
-    }
-}
-
-function addTeleporters() {
-    // Add 2 teleporter pairs
-    for (let i = 0; i < 2; i++) {
-        let x1, y1, x2, y2;
-        
-        // Find two empty spots
-        do {
-            x1 = Math.floor(Math.random() * (GRID_WIDTH - 4)) + 2;
-            y1 = Math.floor(Math.random() * (GRID_HEIGHT - 4)) + 2;
-        } while (grid[y1][x1] !== 0);
-        
-        do {
-            x2 = Math.floor(Math.random() * (GRID_WIDTH - 4)) + 2;
-            y2 = Math.floor(Math.random() * (GRID_HEIGHT - 4)) + 2;
-        } while (grid[y2][x2] !== 0 || (x2 === x1 && y2 === y1));
-        
-        grid[y1][x1] = 4; // Teleporter entrance
-        grid[y2][x2] = 4; // Teleporter exit
-    }
-}
-
-function addBonusAreas() {
-    // Create small bonus rooms with extra dots
-    const roomCount = Math.floor(Math.random() * 2) + 1;
-    
-    for (let r = 0; r < roomCount; r++) {
-        const roomSize = 3;
-        let x = Math.floor(Math.random() * (GRID_WIDTH - roomSize - 2)) + 1;
-        let y = Math.floor(Math.random() * (GRID_HEIGHT - roomSize - 2)) + 1;
-        
-        // Clear the room
-        for (let ry = y; ry < y + roomSize; ry++) {
-            for (let rx = x; rx < x + roomSize; rx++) {
-                grid[ry][rx] = 0;
-            }
-        }
-        
-        // Mark center as special bonus area
-        grid[y + 1][x + 1] = 5; // Special bonus dot
-    }
+// A ?seed= URL parameter pins the run seed for sharing runs and bug reports
+function getInitialRunSeed() {
+    const urlSeed = new URLSearchParams(location.search).get('seed');
+    return urlSeed ? hashSeed(urlSeed) : randomSeed();
 }
 
-function addSafeZones() {
-    // Add temporary safe zones where enemies move slower
-    const safeZoneCount = Math.floor(Math.random() * 3) + 1;
-    
-    for (let s = 0; s < safeZoneCount; s++) {
-        let x = Math.floor(Math.random() * (GRID_WIDTH - 6)) + 3;
-        let y = Math.floor(Math.random() * (GRID_HEIGHT - 6)) + 3;
-        
-        if (grid[y][x] === 0) {
-            grid[y][x] = 6; // Safe zone marker
-        }
-    }
-}
+// Enhanced input handling with smooth controls - keys and shop clicks are queued as
+// simulation commands and drained once per tick
+const KEY_DIRECTIONS = {
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    ArrowLeft: 'left',
+    ArrowRight: 'right'
+};
 
-function getCoordinatorMove(enemy) {
-    // Coordinate with other enemies to surround player
-    const nearbyEnemies = enemies.filter(e => 
-        e.id !== enemy.id && 
-        Math.abs(e.x - enemy.x) + Math.abs(e.y - enemy.y) < 8 &&
-        !e.scared
-    );
-    
-    if (nearbyEnemies.length > 0 && Math.random() < enemy.cooperationLevel) {
-        // Calculate optimal positioning to trap player
-        const targetPositions = getOptimalSurroundPositions(player.x, player.y);
-        const myTargetPos = targetPositions[enemy.id % targetPositions.length];
-        
-        let path = findPath(enemy.x, enemy.y, myTargetPos.x, myTargetPos.y);
-        if (path && path.length > 0) {
-            let nextStep = path[0];
-            return {
-                x: nextStep.x - enemy.x,
-                y: nextStep.y - enemy.y
-            };
-        }
-    }
-    
-    return getAggressiveMove(enemy);
-}
+let keys = {};
 
-function getTrapperMove(enemy) {
-    // Try to cut off player's escape routes
-    const playerDirection = player.direction;
-    if (playerDirection.x === 0 && playerDirection.y === 0) {
-        return getPatrolMove(enemy);
-    }
-    
-    // Predict where player will be and try to block their path
-    const futureX = player.x + playerDirection.x * 5;
-    const futureY = player.y + playerDirection.y * 5;
-    
-    // Find a position that blocks the predicted path
-    const blockPositions = [];
-    for (let i = 1; i <= 5; i++) {
-        const blockX = player.x + playerDirection.x * i;
-        const blockY = player.y + playerDirection.y * i;
-        if (blockX > 0 && blockX < GRID_WIDTH - 1 && 
-            blockY > 0 && blockY < GRID_HEIGHT - 1 &&
-            grid[blockY][blockX] !== 1) {
-            blockPositions.push({x: blockX, y: blockY});
-        }
-    }
-    
-    if (blockPositions.length > 0) {
-        const targetPos = blockPositions[Math.floor(Math.random() * blockPositions.length)];
-        let path = findPath(enemy.x, enemy.y, targetPos.x, targetPos.y);
-        if (path && path.length > 0) {
-            let nextStep = path[0];
-            return {
-                x: nextStep.x - enemy.x,
-                y: nextStep.y - enemy.y
-            };
-        }
+const localInput = {
+    queue: [],
+    readCommands() {
+        const commands = this.queue;
+        this.queue = [];
+        return commands;
     }
-    
-    return getAmbushMove(enemy);
-}
+};
 
-function getOptimalSurroundPositions(targetX, targetY) {
-    // Calculate positions around the target for coordinated attack
-    const positions = [];
-    const radius = 3;
-    
-    for (let angle = 0; angle < 2 * Math.PI; angle += Math.PI / 4) {
-        const x = Math.round(targetX + Math.cos(angle) * radius);
-        const y = Math.round(targetY + Math.sin(angle) * radius);
-        
-        if (x > 0 && x < GRID_WIDTH - 1 && y > 0 && y < GRID_HEIGHT - 1 && grid[y][x] !== 1) {
-            positions.push({x, y});
-        }
-    }
-    
-    return positions.length > 0 ? positions : [{x: targetX + 1, y: targetY}];
+function queueCommand(command) {
+    localInput.queue.push(command);
 }
 
-// Enhanced input handling with smooth controls
-let keys = {};
-let inputBuffer = [];
-
 document.addEventListener('keydown', (e) => {
     keys[e.key] = true;
     
-    // Buffer inputs for smoother gameplay
-    if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
-        inputBuffer.push(e.key);
-        if (inputBuffer.length > 3) inputBuffer.shift();
+    // Only steer a run in progress; arrows pressed in the menu or editor would land on the next run's first tick
+    if (KEY_DIRECTIONS[e.key] && game.state === GAME_STATES.PLAYING) {
+        queueCommand({ type: 'direction', direction: KEY_DIRECTIONS[e.key] });
     }
     
-    // Immediate direction change for responsiveness
-    if (e.key === 'ArrowUp') player.direction = { x: 0, y: -1 };
-    else if (e.key === 'ArrowDown') player.direction = { x: 0, y: 1 };
-    else if (e.key === 'ArrowLeft') player.direction = { x: -1, y: 0 };
-    else if (e.key === 'ArrowRight') player.direction = { x: 1, y: 0 };
-    
-    // Pause functionality
+    // Pause functionality (pauses playback instead while watching a replay)
     if (e.key === ' ' || e.key === 'Escape') {
-        game.isPaused = !game.isPaused;
+        if (replayView.active) {
+            setReplayPaused(!replayView.paused);
+        } else {
+            togglePause();
+        }
     }
 });
 
@@ -773,456 +89,163 @@ document.addEventListener('keyup', (e) => {
     keys[e.key] = false;
 });
 
-// Enhanced game update with improved mechanics
-function update() {
-    if (!game.isPlaying || game.isPaused) return;
-    
-    // Update power pellet timer
-    if (game.powerPelletActive) {
-        game.powerPelletTimer--;
-        if (game.powerPelletTimer <= 0) {
-            game.powerPelletActive = false;
-            enemies.forEach(enemy => {
-                enemy.scared = false;
-                enemy.scaredTimer = 0;
-            });
-        }
-    }
-    
-    // Update player
-    updatePlayer();
-    
-    // Update enemies with improved AI
-    updateEnemies();
-    
-    // Use enhanced UI update
-    updateUIEnhanced();
-    
-    // Strategic analysis in debug mode
-    if (debugMode && Math.random() < 0.1) { // 10% chance per frame
-        const strategy = calculateOptimalStrategy();
-        console.log('Live Strategy:', strategy.recommendation);
-    }
-}
-
-function updatePlayer() {
-    player.moveTimer++;
-    if (player.moveTimer >= game.playerSpeed) {
-        player.moveTimer = 0;
-        
-        // Try buffered input for smoother controls
-        let targetDirection = player.direction;
-        for (let bufferedKey of inputBuffer) {
-            let testDirection = { x: 0, y: 0 };
-            if (bufferedKey === 'ArrowUp') testDirection = { x: 0, y: -1 };
-            else if (bufferedKey === 'ArrowDown') testDirection = { x: 0, y: 1 };
-            else if (bufferedKey === 'ArrowLeft') testDirection = { x: -1, y: 0 };
-            else if (bufferedKey === 'ArrowRight') testDirection = { x: 1, y: 0 };
-            
-            let testX = player.x + testDirection.x;
-            let testY = player.y + testDirection.y;
-            
-            if (grid[testY] && grid[testY][testX] !== 1) {
-                targetDirection = testDirection;
-                inputBuffer = inputBuffer.filter(key => key !== bufferedKey);
-                break;
-            }
-        }
-        
-        let newX = player.x + targetDirection.x;
-        let newY = player.y + targetDirection.y;
-        
-        if (grid[newY] && grid[newY][newX] !== 1) {
-            player.x = newX;
-            player.y = newY;
-            player.direction = targetDirection;
-            
-            // Handle special tiles
-            handleSpecialTiles(newX, newY);
-            
-            // Collect dots with combo system
-            if (grid[newY][newX] === 2) {
-                grid[newY][newX] = 0;
-                
-                // Combo system for strategic play
-                let currentTime = Date.now();
-                if (currentTime - game.lastDotTime < 1000) {
-                    game.comboCounter++;
-                } else {
-                    game.comboCounter = 1;
-                }
-                game.lastDotTime = currentTime;
-                
-                let comboBonus = Math.min(game.comboCounter, 10);
-                game.score += (10 + comboBonus) * game.multiplier;
-                game.dotsCollected++;
-                
-                if (game.dotsCollected >= game.totalDots) {
-                    nextLevel();
-                }
-            }
-            
-            // Collect power pellets
-            if (grid[newY][newX] === 3) {
-                grid[newY][newX] = 0;
-                game.score += 50 * game.multiplier;
-                game.powerPelletActive = true;
-                game.powerPelletTimer = 400 + game.level * 20; // Longer duration at higher levels
-                
-                enemies.forEach(enemy => {
-                    enemy.scared = true;
-                    enemy.scaredTimer = game.powerPelletTimer;
-                });
-            }
-            
-            // Special bonus dots
-            if (grid[newY][newX] === 5) {
-                grid[newY][newX] = 0;
-                game.score += 100 * game.multiplier;
-                game.lives++; // Bonus life for special dots
-            }
-        }
-    }
-}
-
-function handleSpecialTiles(x, y) {
-    // Handle teleporters
-    if (grid[y][x] === 4) {
-        // Find the other teleporter
-        for (let ty = 0; ty < GRID_HEIGHT; ty++) {
-            for (let tx = 0; tx < GRID_WIDTH; tx++) {
-                if (grid[ty][tx] === 4 && (tx !== x || ty !== y)) {
-                    player.x = tx;
-                    player.y = ty;
-                    return;
-                }
-            }
-        }
-    }
-    
-    // Handle safe zones - temporary speed boost for player
-    if (grid[y][x] === 6) {
-        game.playerSpeed = Math.max(4, game.playerSpeed - 2);
-        setTimeout(() => {
-            game.playerSpeed = Math.min(game.basePlayerSpeed, game.playerSpeed + 2);
-        }, 3000);
-    }
-}
-
-function updateEnemies() {
-    enemies.forEach((enemy, index) => {
-        enemy.moveTimer++;
-        enemy.personalityTimer++;
-        
-        if (enemy.scared) {
-            enemy.scaredTimer--;
-            if (enemy.scaredTimer <= 0) {
-                enemy.scared = false;
-            }
-        }
-        
-        // Enemies move slower in safe zones
-        let moveSpeed = enemy.scared ? game.enemySpeed * 1.5 : game.enemySpeed;
-        if (grid[enemy.y] && grid[enemy.y][enemy.x] === 6) {
-            moveSpeed *= 1.8; // Slower in safe zones
-        }
-        
-        if (enemy.moveTimer >= moveSpeed) {
-            enemy.moveTimer = 0;
-            
-            let move = getEnemyMove(enemy);
-            if (move) {
-                enemy.x += move.x;
-                enemy.y += move.y;
-                enemy.lastDirection = move;
-            }
-        }
-        
-        // Check collision with player
-        if (enemy.x === player.x && enemy.y === player.y) {
-            if (enemy.scared) {
-                game.score += (200 + game.level * 50) * game.multiplier;
-                enemy.x = GRID_WIDTH - 2;
-                enemy.y = GRID_HEIGHT - 2;
-                enemy.scared = false;
-                enemy.scaredTimer = 0;
-            } else {
-                game.lives--;
-                player.x = 1;
-                player.y = 1;
-                game.comboCounter = 0; // Reset combo on death
-                
-                if (game.lives <= 0) {
-                    gameOver();
-                }
-            }
-        }
-    });
-}
-
-function getEnemyMove(enemy) {
-    // Update enemy's knowledge of player position
-    enemy.lastPlayerPosition = {x: player.x, y: player.y};
-    
-    if (enemy.scared) {
-        // Run away from player with improved escape logic
-        return getEnhancedRunAwayMove(enemy);
-    }
-    
-    // Smart mode enemies use more sophisticated strategies
-    if (enemy.smartMode && Math.random() < enemy.predictionAccuracy) {
-        return getSmartEnemyMove(enemy);
-    }
-    
-    switch (enemy.behavior) {
-        case 'aggressive':
-            return getAggressiveMove(enemy);
-        case 'patrol':
-            return getPatrolMove(enemy);
-        case 'ambush':
-            return getAmbushMove(enemy);
-        case 'random':
-            return getRandomMove(enemy);
-        case 'coordinator':
-            return getCoordinatorMove(enemy);
-        case 'trapper':
-            return getTrapperMove(enemy);
-        default:
-            return getAggressiveMove(enemy);
-    }
-}
-
-function getSmartEnemyMove(enemy) {
-    // Advanced AI that considers multiple factors
-    const distanceToPlayer = Math.abs(enemy.x - player.x) + Math.abs(enemy.y - player.y);
-    
-    // Close range: direct pursuit
-    if (distanceToPlayer <= 3) {
-        return getAggressiveMove(enemy);
-    }
-    
-    // Medium range: use prediction and coordination
-    if (distanceToPlayer <= 8) {
-        // Predict player movement
-        const predictedX = player.x + player.direction.x * 2;
-        const predictedY = player.y + player.direction.y * 2;
-        
-        // Clamp to grid bounds
-        const clampedX = Math.max(1, Math.min(GRID_WIDTH - 2, predictedX));
-        const clampedY = Math.max(1, Math.min(GRID_HEIGHT - 2, predictedY));
-        
-        let path = findPath(enemy.x, enemy.y, clampedX, clampedY);
-        if (path && path.length > 0) {
-            let nextStep = path[0];
-            return {
-                x: nextStep.x - enemy.x,
-                y: nextStep.y - enemy.y
-            };
-        }
-    }
-    
-    // Long range: patrol or coordinate
-    return enemy.behavior === 'coordinator' ? getCoordinatorMove(enemy) : getPatrolMove(enemy);
-}
-
-function getEnhancedRunAwayMove(enemy) {
-    let moves = [];
-    let directions = [
-        {x: 1, y: 0}, {x: -1, y: 0}, 
-        {x: 0, y: 1}, {x: 0, y: -1}
-    ];
-    
-    for (let dir of directions) {
-        let newX = enemy.x + dir.x;
-        let newY = enemy.y + dir.y;
-        if (grid[newY] && grid[newY][newX] !== 1) {
-            let distanceFromPlayer = Math.abs(newX - player.x) + Math.abs(newY - player.y);
-            
-            // Also consider distance from other enemies to avoid clustering
-            let distanceFromOthers = 0;
-            enemies.forEach(other => {
-                if (other.id !== enemy.id) {
-                    distanceFromOthers += Math.abs(newX - other.x) + Math.abs(newY - other.y);
-                }
-            });
-            
-            moves.push({
-                move: dir, 
-                distance: distanceFromPlayer,
-                separation: distanceFromOthers
-            });
-        }
-    }
-    
-    if (moves.length > 0) {
-        // Choose move that maximizes distance from player and separates from other enemies
-        moves.sort((a, b) => (b.distance + b.separation * 0.3) - (a.distance + a.separation * 0.3));
-        return moves[0].move;
-    }
-    return null;
+// Position between the previous and current cell, alpha being the fraction of a tick since the last update
+function getRenderPosition(entity, moveInterval, alpha) {
+    const t = Math.min(1, (entity.moveTimer + alpha) / moveInterval);
+    return {
+        x: entity.prevX + (entity.x - entity.prevX) * t,
+        y: entity.prevY + (entity.y - entity.prevY) * t
+    };
 }
 
-function getAggressiveMove(enemy) {
-    // Use A* pathfinding for smart pursuit
-    let path = findPath(enemy.x, enemy.y, player.x, player.y);
-    if (path && path.length > 0) {
-        let nextStep = path[0];
-        return {
-            x: nextStep.x - enemy.x,
-            y: nextStep.y - enemy.y
-        };
-    }
-    return getRandomMove(enemy);
-}
+// Both ends of a teleporter pair share a color
+const TELEPORTER_COLORS = ['#0ff', '#f0f', '#fa0', '#4f4'];
 
-function getPatrolMove(enemy) {
-    // Patrol behavior with occasional aggressive moves
-    if (enemy.personalityTimer % 120 < 60) {
-        return getAggressiveMove(enemy);
-    }
-    
-    if (!enemy.patrolTarget || (enemy.x === enemy.patrolTarget.x && enemy.y === enemy.patrolTarget.y)) {
-        // Set new patrol target
-        enemy.patrolTarget = {
-            x: Math.floor(Math.random() * (GRID_WIDTH - 4)) + 2,
-            y: Math.floor(Math.random() * (GRID_HEIGHT - 4)) + 2
-        };
-    }
-    
-    let path = findPath(enemy.x, enemy.y, enemy.patrolTarget.x, enemy.patrolTarget.y);
-    if (path && path.length > 0) {
-        let nextStep = path[0];
-        return {
-            x: nextStep.x - enemy.x,
-            y: nextStep.y - enemy.y
-        };
-    }
-    return getRandomMove(enemy);
-}
-
-function getAmbushMove(enemy) {
-    // Try to intercept player's path
-    let predictedX = player.x + player.direction.x * 3;
-    let predictedY = player.y + player.direction.y * 3;
-    
-    // Clamp to grid bounds
-    predictedX = Math.max(1, Math.min(GRID_WIDTH - 2, predictedX));
-    predictedY = Math.max(1, Math.min(GRID_HEIGHT - 2, predictedY));
-    
-    let path = findPath(enemy.x, enemy.y, predictedX, predictedY);
-    if (path && path.length > 0) {
-        let nextStep = path[0];
-        return {
-            x: nextStep.x - enemy.x,
-            y: nextStep.y - enemy.y
-        };
+// Draws one terrain tile by its code; shared by the game and the level editor.
+// teleporterId picks the pair color for teleporter tiles (-1 for an unpaired one).
+function drawTile(x, y, tile, teleporterId = -1) {
+    if (tile === 1) {
+        // Walls with gradient effect
+        let gradient = ctx.createLinearGradient(
+            x * CELL_SIZE, y * CELL_SIZE,
+            (x + 1) * CELL_SIZE, (y + 1) * CELL_SIZE
+        );
+        gradient.addColorStop(0, '#666');
+        gradient.addColorStop(1, '#333');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+        
+        // Wall border
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 0.5;
+        ctx.strokeRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+    } else if (tile === 4) {
+        // Teleporters in their pair's color with a swirling ring
+        let swirl = Date.now() * 0.005;
+        ctx.fillStyle = teleporterId >= 0 ? TELEPORTER_COLORS[teleporterId % TELEPORTER_COLORS.length] : '#666';
+        ctx.shadowColor = ctx.fillStyle;
+        ctx.shadowBlur = 6;
+        ctx.beginPath();
+        ctx.arc(x * CELL_SIZE + CELL_SIZE/2, y * CELL_SIZE + CELL_SIZE/2, 8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x * CELL_SIZE + CELL_SIZE/2, y * CELL_SIZE + CELL_SIZE/2, 5, swirl, swirl + Math.PI);
+        ctx.stroke();
+    } else if (tile === 6) {
+        // Safe zones with gentle green glow
+        ctx.fillStyle = 'rgba(0, 255, 0, 0.2)';
+        ctx.fillRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+        ctx.strokeStyle = '#0f0';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+    } else if (tile === 7) {
+        // Mud
+        ctx.fillStyle = 'rgba(120, 80, 30, 0.6)';
+        ctx.fillRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+        ctx.fillStyle = 'rgba(60, 40, 10, 0.8)';
+        ctx.fillRect(x * CELL_SIZE + 4, y * CELL_SIZE + 5, 3, 3);
+        ctx.fillRect(x * CELL_SIZE + 12, y * CELL_SIZE + 11, 3, 3);
+    } else if (tile === 8) {
+        // Speed pads with a double chevron
+        ctx.strokeStyle = '#fa0';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let offset of [4, 10]) {
+            ctx.moveTo(x * CELL_SIZE + offset, y * CELL_SIZE + 5);
+            ctx.lineTo(x * CELL_SIZE + offset + 5, y * CELL_SIZE + CELL_SIZE/2);
+            ctx.lineTo(x * CELL_SIZE + offset, y * CELL_SIZE + CELL_SIZE - 5);
+        }
+        ctx.stroke();
+    } else if (DOOR_TILES[tile]) {
+        // One-way doors: an arrow pointing the only way through
+        const door = DOOR_TILES[tile];
+        const cx = x * CELL_SIZE + CELL_SIZE/2;
+        const cy = y * CELL_SIZE + CELL_SIZE/2;
+        ctx.fillStyle = '#c6f';
+        ctx.beginPath();
+        ctx.moveTo(cx + door.x * 7, cy + door.y * 7);
+        ctx.lineTo(cx - door.x * 5 + door.y * 6, cy - door.y * 5 + door.x * 6);
+        ctx.lineTo(cx - door.x * 5 - door.y * 6, cy - door.y * 5 - door.x * 6);
+        ctx.closePath();
+        ctx.fill();
     }
-    return getAggressiveMove(enemy);
 }
 
-function getRandomMove(enemy) {
-    let moves = [];
-    let directions = [
-        {x: 1, y: 0}, {x: -1, y: 0}, 
-        {x: 0, y: 1}, {x: 0, y: -1}
-    ];
-    
-    for (let dir of directions) {
-        let newX = enemy.x + dir.x;
-        let newY = enemy.y + dir.y;
-        if (grid[newY] && grid[newY][newX] !== 1) {
-            moves.push(dir);
-        }
-    }
-    
-    if (moves.length > 0) {
-        return moves[Math.floor(Math.random() * moves.length)];
+// Draws an item (dot, power pellet, bonus) on top of its cell's terrain
+function drawItem(x, y, item) {
+    if (item === 2) {
+        // Dots with glow effect
+        ctx.fillStyle = '#fff';
+        ctx.shadowColor = '#fff';
+        ctx.shadowBlur = 3;
+        ctx.beginPath();
+        ctx.arc(x * CELL_SIZE + CELL_SIZE/2, y * CELL_SIZE + CELL_SIZE/2, 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    } else if (item === 3) {
+        // Power pellets with pulsing effect
+        let pulse = Math.sin(Date.now() * 0.01) * 0.3 + 0.7;
+        ctx.fillStyle = `rgba(255, 255, 0, ${pulse})`;
+        ctx.shadowColor = '#ff0';
+        ctx.shadowBlur = 8;
+        ctx.beginPath();
+        ctx.arc(x * CELL_SIZE + CELL_SIZE/2, y * CELL_SIZE + CELL_SIZE/2, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+    } else if (item === 5) {
+        // Special bonus dots with sparkle effect
+        let sparkle = Math.sin(Date.now() * 0.02) * 0.4 + 0.6;
+        ctx.fillStyle = `rgba(0, 255, 255, ${sparkle})`;
+        ctx.shadowColor = '#0ff';
+        ctx.shadowBlur = 10;
+        ctx.beginPath();
+        ctx.arc(x * CELL_SIZE + CELL_SIZE/2, y * CELL_SIZE + CELL_SIZE/2, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
     }
-    return null;
 }
 
 // Enhanced rendering with visual improvements and special effects
-function render() {
+function render(alpha = 0) {
+    fitCanvas(GRID_WIDTH, GRID_HEIGHT);
+    const boardWidth = GRID_WIDTH * CELL_SIZE;
+    const boardHeight = GRID_HEIGHT * CELL_SIZE;
     ctx.fillStyle = '#111';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillRect(0, 0, boardWidth, boardHeight);
+    
+    // No board behind the menu
+    if (game.state === GAME_STATES.MENU) return;
     
     // Draw grid with improved visuals
     for (let y = 0; y < GRID_HEIGHT; y++) {
         for (let x = 0; x < GRID_WIDTH; x++) {
-            if (grid[y][x] === 1) {
-                // Walls with gradient effect
-                let gradient = ctx.createLinearGradient(
-                    x * CELL_SIZE, y * CELL_SIZE,
-                    (x + 1) * CELL_SIZE, (y + 1) * CELL_SIZE
-                );
-                gradient.addColorStop(0, '#666');
-                gradient.addColorStop(1, '#333');
-                ctx.fillStyle = gradient;
-                ctx.fillRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
-                
-                // Wall border
-                ctx.strokeStyle = '#888';
-                ctx.lineWidth = 0.5;
-                ctx.strokeRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
-            } else if (grid[y][x] === 2) {
-                // Dots with glow effect
-                ctx.fillStyle = '#fff';
-                ctx.shadowColor = '#fff';
-                ctx.shadowBlur = 3;
-                ctx.beginPath();
-                ctx.arc(x * CELL_SIZE + CELL_SIZE/2, y * CELL_SIZE + CELL_SIZE/2, 2, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.shadowBlur = 0;
-            } else if (grid[y][x] === 3) {
-                // Power pellets with pulsing effect
-                let pulse = Math.sin(Date.now() * 0.01) * 0.3 + 0.7;
-                ctx.fillStyle = `rgba(255, 255, 0, ${pulse})`;
-                ctx.shadowColor = '#ff0';
-                ctx.shadowBlur = 8;
-                ctx.beginPath();
-                ctx.arc(x * CELL_SIZE + CELL_SIZE/2, y * CELL_SIZE + CELL_SIZE/2, 6, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.shadowBlur = 0;
-            } else if (grid[y][x] === 4) {
-                // Teleporters with swirling effect
-                let swirl = Date.now() * 0.005;
-                ctx.fillStyle = `hsl(${swirl * 57.3}, 70%, 50%)`;
-                ctx.shadowColor = ctx.fillStyle;
-                ctx.shadowBlur = 6;
-                ctx.beginPath();
-                ctx.arc(x * CELL_SIZE + CELL_SIZE/2, y * CELL_SIZE + CELL_SIZE/2, 8, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.shadowBlur = 0;
-            } else if (grid[y][x] === 5) {
-                // Special bonus dots with sparkle effect
-                let sparkle = Math.sin(Date.now() * 0.02) * 0.4 + 0.6;
-                ctx.fillStyle = `rgba(0, 255, 255, ${sparkle})`;
-                ctx.shadowColor = '#0ff';
-                ctx.shadowBlur = 10;
-                ctx.beginPath();
-                ctx.arc(x * CELL_SIZE + CELL_SIZE/2, y * CELL_SIZE + CELL_SIZE/2, 5, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.shadowBlur = 0;
-            } else if (grid[y][x] === 6) {
-                // Safe zones with gentle green glow
-                ctx.fillStyle = 'rgba(0, 255, 0, 0.2)';
-                ctx.fillRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
-                ctx.strokeStyle = '#0f0';
-                ctx.lineWidth = 1;
-                ctx.strokeRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
-            }
+            drawTile(x, y, grid[y][x], getTeleporterId(x, y));
+            drawItem(x, y, items[y][x]);
         }
     }
     
+    // Enemy home door
+    if (game.enemyHome) {
+        const door = game.enemyHome.door;
+        ctx.fillStyle = '#ffb8ff';
+        ctx.fillRect(door.x * CELL_SIZE, door.y * CELL_SIZE + CELL_SIZE/2 - 2, CELL_SIZE, 4);
+    }
+    
     // Draw player with animation
+    const playerPos = getRenderPosition(player, player.moveInterval, alpha);
+    const px = playerPos.x * CELL_SIZE;
+    const py = playerPos.y * CELL_SIZE;
     let playerPulse = Math.sin(Date.now() * 0.02) * 0.1 + 0.9;
     ctx.fillStyle = '#ff0';
     ctx.shadowColor = '#ff0';
     ctx.shadowBlur = 5;
     ctx.beginPath();
     ctx.arc(
-        player.x * CELL_SIZE + CELL_SIZE/2, 
-        player.y * CELL_SIZE + CELL_SIZE/2, 
+        px + CELL_SIZE/2, 
+        py + CELL_SIZE/2, 
         (CELL_SIZE/2 - 2) * playerPulse, 
         0, Math.PI * 2
     );
@@ -1234,8 +257,8 @@ function render() {
         ctx.fillStyle = '#fff';
         ctx.beginPath();
         ctx.arc(
-            player.x * CELL_SIZE + CELL_SIZE/2 + player.direction.x * 6,
-            player.y * CELL_SIZE + CELL_SIZE/2 + player.direction.y * 6,
+            px + CELL_SIZE/2 + player.direction.x * 6,
+            py + CELL_SIZE/2 + player.direction.y * 6,
             2, 0, Math.PI * 2
         );
         ctx.fill();
@@ -1243,6 +266,21 @@ function render() {
     
     // Draw enemies with enhanced visuals
     enemies.forEach((enemy, index) => {
+        const enemyPos = getRenderPosition(enemy, enemy.moveInterval, alpha);
+        const ex = enemyPos.x * CELL_SIZE;
+        const ey = enemyPos.y * CELL_SIZE;
+        
+        // Eaten enemies are just eyes, looking the way they're heading home
+        if (enemy.eaten) {
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(ex + 3, ey + 6, 5, 5);
+            ctx.fillRect(ex + 11, ey + 6, 5, 5);
+            ctx.fillStyle = '#22f';
+            ctx.fillRect(ex + 4 + enemy.lastDirection.x, ey + 7 + enemy.lastDirection.y, 3, 3);
+            ctx.fillRect(ex + 12 + enemy.lastDirection.x, ey + 7 + enemy.lastDirection.y, 3, 3);
+            return;
+        }
+        
         if (enemy.scared) {
             // Scared enemies flash blue
             let flash = Math.sin(Date.now() * 0.03) > 0 ? '#00f' : '#006';
@@ -1260,56 +298,136 @@ function render() {
             ctx.shadowBlur = 8;
             ctx.strokeStyle = '#fff';
             ctx.lineWidth = 2;
-            ctx.strokeRect(enemy.x * CELL_SIZE + 1, enemy.y * CELL_SIZE + 1, CELL_SIZE - 2, CELL_SIZE - 2);
+            ctx.strokeRect(ex + 1, ey + 1, CELL_SIZE - 2, CELL_SIZE - 2);
         }
         
-        ctx.fillRect(enemy.x * CELL_SIZE + 2, enemy.y * CELL_SIZE + 2, CELL_SIZE - 4, CELL_SIZE - 4);
+        ctx.fillRect(ex + 2, ey + 2, CELL_SIZE - 4, CELL_SIZE - 4);
         
         // Enemy eyes
         ctx.shadowBlur = 0;
         ctx.fillStyle = '#fff';
-        ctx.fillRect(enemy.x * CELL_SIZE + 4, enemy.y * CELL_SIZE + 4, 3, 3);
-        ctx.fillRect(enemy.x * CELL_SIZE + 11, enemy.y * CELL_SIZE + 4, 3, 3);
+        ctx.fillRect(ex + 4, ey + 4, 3, 3);
+        ctx.fillRect(ex + 11, ey + 4, 3, 3);
         
         ctx.fillStyle = '#000';
-        ctx.fillRect(enemy.x * CELL_SIZE + 5, enemy.y * CELL_SIZE + 5, 1, 1);
-        ctx.fillRect(enemy.x * CELL_SIZE + 12, enemy.y * CELL_SIZE + 5, 1, 1);
+        ctx.fillRect(ex + 5, ey + 5, 1, 1);
+        ctx.fillRect(ex + 12, ey + 5, 1, 1);
         
         // Behavior indicator
         ctx.fillStyle = '#fff';
         ctx.font = '8px monospace';
         ctx.textAlign = 'center';
         const behaviorText = enemy.behavior.charAt(0).toUpperCase();
-        ctx.fillText(behaviorText, enemy.x * CELL_SIZE + CELL_SIZE/2, enemy.y * CELL_SIZE + CELL_SIZE - 2);
+        ctx.fillText(behaviorText, ex + CELL_SIZE/2, ey + CELL_SIZE - 2);
+        
+        // Alert mark: ! while it can see the player, ? while it's following up on a sighting
+        if (!enemy.scared && (enemy.seesPlayer || enemy.lastSeen)) {
+            ctx.fillStyle = enemy.seesPlayer ? '#f44' : '#ff0';
+            ctx.font = 'bold 10px monospace';
+            ctx.fillText(enemy.seesPlayer ? '!' : '?', ex + CELL_SIZE/2, ey);
+        }
         ctx.textAlign = 'start';
+        
+        // Debug: outline the intercept cell the squad planner gave it
+        if (debugMode && enemy.squadTarget) {
+            ctx.strokeStyle = enemy.color;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(enemy.squadTarget.x * CELL_SIZE + 3, enemy.squadTarget.y * CELL_SIZE + 3, CELL_SIZE - 6, CELL_SIZE - 6);
+        }
     });
     
+    if (boss) {
+        drawBoss(alpha);
+    }
+    
     // Draw power pellet timer
     if (game.powerPelletActive) {
-        let timerPercent = game.powerPelletTimer / 400;
+        let timerPercent = game.powerPelletTimer / game.powerPelletDuration;
         ctx.fillStyle = `rgba(255, 255, 0, 0.3)`;
-        ctx.fillRect(0, 0, canvas.width * timerPercent, 5);
+        ctx.fillRect(0, 0, boardWidth * timerPercent, 5);
     }
     
     // Draw pause indicator
-    if (game.isPaused && game.isPlaying) {
+    if (game.isPaused && game.state === GAME_STATES.PLAYING) {
         ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, boardWidth, boardHeight);
         
         ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
         ctx.font = '32px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('PAUSED', canvas.width / 2, canvas.height / 2);
+        ctx.fillText('PAUSED', boardWidth / 2, boardHeight / 2);
         ctx.font = '16px monospace';
-        ctx.fillText('Press SPACE to resume', canvas.width / 2, canvas.height / 2 + 40);
+        ctx.fillText('Press SPACE to resume', boardWidth / 2, boardHeight / 2 + 40);
         ctx.textAlign = 'start';
     }
 }
 
-// Game loop
-function gameLoop() {
-    update();
-    render();
+const BOSS_PHASE_COLORS = {
+    summon: '#a040ff',
+    rampage: '#ff4020',
+    exposed: '#808080'
+};
+
+// The boss across its 2x2 cells: phase color, flashing blue while vulnerable, faded while stunned
+function drawBoss(alpha) {
+    const pos = getRenderPosition(boss, boss.moveInterval, alpha);
+    const bx = pos.x * CELL_SIZE;
+    const by = pos.y * CELL_SIZE;
+    const size = BOSS_SIZE * CELL_SIZE;
+    
+    ctx.globalAlpha = boss.stunTimer > 0 ? 0.5 : 1;
+    if (isBossVulnerable()) {
+        ctx.fillStyle = Math.sin(Date.now() * 0.03) > 0 ? '#00f' : '#006';
+    } else {
+        ctx.fillStyle = BOSS_PHASE_COLORS[boss.phase];
+    }
+    ctx.shadowColor = ctx.fillStyle;
+    ctx.shadowBlur = 10;
+    ctx.fillRect(bx + 2, by + 2, size - 4, size - 4);
+    ctx.shadowBlur = 0;
+    
+    // Eyes looking where it's going, and a jagged crown
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(bx + 8, by + 10, 8, 8);
+    ctx.fillRect(bx + size - 16, by + 10, 8, 8);
+    ctx.fillStyle = '#000';
+    ctx.fillRect(bx + 10 + boss.lastDirection.x * 2, by + 12 + boss.lastDirection.y * 2, 4, 4);
+    ctx.fillRect(bx + size - 14 + boss.lastDirection.x * 2, by + 12 + boss.lastDirection.y * 2, 4, 4);
+    ctx.fillStyle = '#ff0';
+    ctx.beginPath();
+    ctx.moveTo(bx + 6, by + 6);
+    for (let i = 0; i < 4; i++) {
+        ctx.lineTo(bx + 6 + (i + 0.5) * (size - 12) / 4, by);
+        ctx.lineTo(bx + 6 + (i + 1) * (size - 12) / 4, by + 6);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.globalAlpha = 1;
+}
+
+// Game loop - the core's fixed-timestep driver ticks the simulation, then calls back into the canvas renderer
+let lastFrameTimestamp = null;
+
+const canvasRenderer = {
+    render(alpha) {
+        updateUIEnhanced();
+        updateReplayControls();
+        render(alpha);
+        
+        // Strategic analysis in debug mode
+        if (debugMode && Math.random() < 0.1) { // 10% chance per frame
+            const strategy = calculateOptimalStrategy();
+            console.log('Live Strategy:', strategy.recommendation);
+        }
+    }
+};
+
+function gameLoop(timestamp) {
+    if (lastFrameTimestamp === null) {
+        lastFrameTimestamp = timestamp;
+    }
+    advance(getReplayElapsed(timestamp - lastFrameTimestamp));
+    lastFrameTimestamp = timestamp;
     requestAnimationFrame(gameLoop);
 }
 
@@ -1319,6 +437,7 @@ function updateUI() {
     document.getElementById('level').textContent = game.level;
     document.getElementById('lives').textContent = game.lives;
     document.getElementById('multiplier').textContent = game.multiplier + 'x';
+    document.getElementById('seed').textContent = game.runSeed;
     
     // Update combo counter display
     if (game.comboCounter > 1) {
@@ -1331,16 +450,48 @@ function updateUI() {
     // Update dots remaining
     let dotsRemaining = game.totalDots - game.dotsCollected;
     document.getElementById('dots').textContent = dotsRemaining;
+    
+    // Boss health bar, only while there's a boss on the board
+    const bossBar = document.getElementById('bossBar');
+    bossBar.style.display = boss ? 'block' : 'none';
+    if (boss) {
+        document.getElementById('bossPhase').textContent = boss.phase;
+        document.getElementById('bossHealthFill').style.width = `${boss.health / boss.maxHealth * 100}%`;
+    }
+    
+    // Active perks
+    const perkIds = Object.keys(game.perks);
+    const perkList = document.getElementById('perkList');
+    perkList.style.display = perkIds.length ? 'block' : 'none';
+    perkList.textContent = 'Perks: ' + perkIds
+        .map(id => game.perks[id] > 1 ? `${PERKS[id].label} x${game.perks[id]}` : PERKS[id].label)
+        .join(', ');
+    
+    // Player status effects with time left
+    const effectIds = Object.keys(player.effects);
+    const effectList = document.getElementById('effectList');
+    effectList.style.display = effectIds.length ? 'block' : 'none';
+    effectList.textContent = 'Effects: ' + effectIds.map(id => {
+        const effect = player.effects[id];
+        const label = effect.stacks > 1 ? `${STATUS_EFFECTS[id].label} x${effect.stacks}` : STATUS_EFFECTS[id].label;
+        return `${label} ${(effect.remaining / TICK_RATE).toFixed(1)}s`;
+    }).join(', ');
 }
 
 // Enhanced updateUI with performance stats and visual feedback
+let lastDisplayedScore = 0;
+
 function updateUIEnhanced() {
     updateUI();
     
     // Update theme indicator
-    const themes = ['Classic', 'Fortress', 'Labyrinth', 'Chambers', 'Spiral'];
-    const themeIndex = Math.min(themes.length - 1, Math.floor((game.level - 1) / 3));
-    document.getElementById('themeIndicator').textContent = `Theme: ${themes[themeIndex]}`;
+    const themeName = currentTheme.charAt(0).toUpperCase() + currentTheme.slice(1);
+    document.getElementById('themeIndicator').textContent = boss ? `Theme: ${themeName} (Boss Arena)` : `Theme: ${themeName}`;
+    
+    // Enemy phase with time left, live rather than once a second so the switches are visible
+    const phase = getEnemyPhase();
+    document.getElementById('enemyPhase').textContent = phase.remaining < 0 ?
+        phase.mode : `${phase.mode} ${(phase.remaining / TICK_RATE).toFixed(1)}s`;
     
     // Update performance stats
     performanceStats.frameCount++;
@@ -1352,10 +503,17 @@ function updateUIEnhanced() {
         
         document.getElementById('fpsCounter').textContent = performanceStats.fps;
         
-        // Update cache hit rate
-        const hitRate = cacheStats.hits + cacheStats.misses > 0 ? 
-            Math.round(cacheStats.hits / (cacheStats.hits + cacheStats.misses) * 100) : 0;
+        // Update pathfinding cache stats
+        const { paths, fields } = getPathfindingStats();
+        const hitRate = paths.hits + paths.misses > 0 ? 
+            Math.round(paths.hits / (paths.hits + paths.misses) * 100) : 0;
         document.getElementById('cacheHitRate').textContent = hitRate + '%';
+        document.getElementById('cacheCounts').textContent =
+            `${paths.hits}/${paths.misses}/${paths.evictions}/${paths.invalidations}`;
+        
+        // Share of chasing moves served by an already-built distance field
+        const reuseRate = fields.hits + fields.misses > 0 ? Math.round(fields.hits / (fields.hits + fields.misses) * 100) : 0;
+        document.getElementById('fieldReuseRate').textContent = `${reuseRate}% (${fields.misses} built)`;
     }
     
     // Enhanced combo display
@@ -1367,136 +525,408 @@ function updateUIEnhanced() {
     }
     
     // Highlight score when it increases
-    if (game.lastScore !== game.score) {
+    if (lastDisplayedScore !== game.score) {
         document.querySelector('#score').parentElement.classList.add('highlight');
         setTimeout(() => {
             document.querySelector('#score').parentElement.classList.remove('highlight');
         }, 500);
-        game.lastScore = game.score;
+        lastDisplayedScore = game.score;
     }
 }
 
-// Game theory and strategic elements
-function calculateOptimalStrategy() {
-    // Analyze current game state for strategic recommendations
-    const playerSafety = calculatePlayerSafety();
-    const resourceDistribution = analyzeResourceDistribution();
-    const enemyThreatLevel = calculateEnemyThreatLevel();
-    
-    return {
-        safety: playerSafety,
-        resources: resourceDistribution,
-        threat: enemyThreatLevel,
-        recommendation: getStrategicRecommendation(playerSafety, enemyThreatLevel)
-    };
+// Upgrade shop panel
+function refreshUpgradeShop() {
+    document.querySelectorAll('.upgrade-btn').forEach(button => {
+        const type = button.dataset.upgrade;
+        const upgrade = UPGRADES[type];
+        if (!upgrade) return;
+        
+        if (upgrade.isMaxed()) {
+            button.textContent = `${upgrade.label} (MAX)`;
+            button.disabled = true;
+        } else {
+            const cost = getUpgradeCost(type);
+            button.textContent = `${upgrade.label} (Cost: ${cost.toLocaleString()})`;
+            button.disabled = game.score < cost;
+        }
+    });
 }
 
-function calculatePlayerSafety() {
-    let safePaths = 0;
-    let totalPaths = 0;
+// Perk draft offered alongside the upgrades; one pick per cleared level
+function refreshPerkDraft() {
+    document.getElementById('perkDraft').style.display = game.perkDraft.length ? 'block' : 'none';
     
-    // Check escape routes from current position
-    const directions = [{x: 1, y: 0}, {x: -1, y: 0}, {x: 0, y: 1}, {x: 0, y: -1}];
+    document.querySelectorAll('.perk-btn').forEach(button => {
+        const id = game.perkDraft[Number(button.dataset.slot)];
+        button.style.display = id ? 'inline-block' : 'none';
+        if (!id) return;
+        
+        const owned = game.perks[id] || 0;
+        button.dataset.perk = id;
+        button.textContent = `${PERKS[id].label} (${owned}/${PERKS[id].maxStacks}): ${PERKS[id].description}`;
+    });
+}
+
+document.querySelectorAll('.perk-btn').forEach(button => {
+    button.addEventListener('click', () => queueCommand({ type: 'pickPerk', perk: button.dataset.perk }));
+});
+
+function openUpgradeShop() {
+    document.getElementById('levelBonus').textContent = `Level ${game.level} cleared! Upgrades (between levels)`;
+    document.getElementById('upgrades').style.display = 'block';
+    refreshPerkDraft();
+    refreshUpgradeShop();
+}
+
+function closeUpgradeShop() {
+    document.getElementById('upgrades').style.display = 'none';
+}
+
+document.querySelectorAll('.upgrade-btn').forEach(button => {
+    button.addEventListener('click', () => queueCommand({ type: 'purchase', upgrade: button.dataset.upgrade }));
+});
+
+// Clicking anywhere outside the shop panel continues to the next level
+document.addEventListener('click', (e) => {
+    if (game.state === GAME_STATES.SHOP && !document.getElementById('upgrades').contains(e.target)) {
+        queueCommand({ type: 'continue' });
+    }
+});
+
+document.getElementById('playAgainBtn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    startNewRun(getInitialRunSeed());
+});
+
+document.getElementById('menuBtn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    returnToMenu();
+});
+
+// Main menu with the local high-score table
+function formatUpgrades(upgradeLevels) {
+    const bought = Object.keys(UPGRADES)
+        .filter(type => upgradeLevels[type] > 0)
+        .map(type => `${UPGRADES[type].label} x${upgradeLevels[type]}`);
+    return bought.length ? bought.join(', ') : '-';
+}
+
+function refreshHighScores() {
+    const body = document.getElementById('highScoreBody');
+    body.textContent = '';
+    
+    const highScores = getHighScores();
+    if (highScores.length === 0) {
+        const row = body.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 7;
+        cell.textContent = 'No runs yet';
+        return;
+    }
+    
+    highScores.forEach((run, index) => {
+        const row = body.insertRow();
+        [
+            index + 1,
+            run.score.toLocaleString(),
+            run.level,
+            run.theme,
+            run.seed,
+            formatUpgrades(run.upgrades),
+            new Date(run.date).toLocaleDateString()
+        ].forEach(value => {
+            row.insertCell().textContent = value;
+        });
+    });
+}
+
+// Permanent unlocks bought with meta-currency; new runs start with whatever is owned
+function refreshMetaUnlocks() {
+    const profile = loadMetaProfile();
+    document.getElementById('metaCurrency').textContent = profile ? profile.currency.toLocaleString() : '-';
     
-    directions.forEach(dir => {
-        let distance = 0;
-        let x = player.x;
-        let y = player.y;
+    document.querySelectorAll('.unlock-btn').forEach(button => {
+        const type = button.dataset.unlock;
+        const unlock = META_UNLOCKS[type];
+        if (!unlock || !profile) {
+            button.disabled = true;
+            return;
+        }
         
-        // Check how far we can go in this direction
-        while (distance < 5) {
-            x += dir.x;
-            y += dir.y;
-            
-            if (x <= 0 || x >= GRID_WIDTH - 1 || y <= 0 || y >= GRID_HEIGHT - 1 || grid[y][x] === 1) {
-                break;
-            }
-            
-            distance++;
-            totalPaths++;
-            
-            // Check if any enemies are in this path
-            let enemyInPath = enemies.some(enemy => 
-                Math.abs(enemy.x - x) + Math.abs(enemy.y - y) <= 2 && !enemy.scared
-            );
-            
-            if (!enemyInPath) {
-                safePaths++;
-            }
+        const owned = profile.unlocks[type];
+        const label = `${unlock.label} ${owned}/${unlock.maxLevel}`;
+        if (owned >= unlock.maxLevel) {
+            button.textContent = `${label} (MAX)`;
+        } else if (!isMetaUnlockAvailable(type, profile.unlocks)) {
+            const requires = Object.keys(unlock.requires).map(required => META_UNLOCKS[required].label).join(', ');
+            button.textContent = `${label} (Needs ${requires})`;
+        } else {
+            button.textContent = `${label} (Cost: ${getMetaUnlockCost(type, profile.unlocks).toLocaleString()})`;
         }
+        button.disabled = !canPurchaseMetaUnlock(type, profile.unlocks, profile.currency);
     });
-    
-    return totalPaths > 0 ? safePaths / totalPaths : 0;
 }
 
-function analyzeResourceDistribution() {
-    let dotsNearPlayer = 0;
-    let pelletsNearPlayer = 0;
-    let totalDots = 0;
-    let totalPellets = 0;
+function applyMetaProfile() {
+    const profile = loadMetaProfile();
+    setMetaUnlocks(profile ? profile.unlocks : createEmptyUnlocks());
+}
+
+document.querySelectorAll('.unlock-btn').forEach(button => {
+    button.addEventListener('click', () => {
+        if (buyMetaUnlock(button.dataset.unlock)) {
+            applyMetaProfile();
+            refreshMetaUnlocks();
+        }
+    });
+});
+
+function openMenu() {
+    refreshHighScores();
+    refreshMetaUnlocks();
+    const save = readSaveSlot();
+    document.getElementById('menuContinueBtn').style.display = save && isValidSave(save) ? 'inline-block' : 'none';
+    document.getElementById('menu').style.display = 'block';
+}
+
+function closeMenu() {
+    document.getElementById('menu').style.display = 'none';
+}
+
+function createRunRecord() {
+    return {
+        score: game.score,
+        level: game.level,
+        seed: game.runSeed,
+        theme: currentTheme,
+        date: new Date().toISOString(),
+        upgrades: { ...game.upgradeLevels },
+        unlocks: { ...game.unlocks },
+        ticks: game.tick
+    };
+}
+
+document.getElementById('menu').addEventListener('click', (e) => e.stopPropagation());
+
+document.getElementById('menuPlayBtn').addEventListener('click', () => {
+    if (readSaveSlot() && !confirm('Start a new run? Your saved run will be lost.')) return;
+    clearSaveSlot();
+    startNewRun(getInitialRunSeed());
+});
+
+document.getElementById('menuContinueBtn').addEventListener('click', () => {
+    if (!restoreSimulation(readSaveSlot())) {
+        alert('This save is corrupt or from an incompatible version and cannot be resumed.');
+        openMenu();
+    }
+});
+
+// Autosave at level boundaries and on pause
+function autosave() {
+    if (!isRecordedRun()) return;
+    writeSaveSlot(serializeSimulation());
+}
+
+onGameEvent((type, detail) => {
+    if (type === 'pauseChange' && detail.paused) {
+        autosave();
+    } else if (type === 'stateChange') {
+        if (detail.to === GAME_STATES.SHOP || (detail.from === GAME_STATES.SHOP && detail.to === GAME_STATES.PLAYING)) {
+            autosave();
+        } else if (detail.to === GAME_STATES.GAME_OVER && isRecordedRun()) {
+            clearSaveSlot();
+        }
+    }
+});
+
+document.getElementById('menuExportBtn').addEventListener('click', () => {
+    const history = loadRunHistory();
+    if (history) {
+        downloadJson(history, `pacman-run-history-${new Date().toISOString().slice(0, 10)}.json`);
+    }
+});
+
+// Show and hide the overlay for each game state as the simulation moves between them
+onGameEvent((type, detail) => {
+    if (type === 'upgradePurchased') {
+        updateUI();
+        refreshUpgradeShop();
+        return;
+    }
+    if (type === 'perkPicked') {
+        updateUI();
+        refreshPerkDraft();
+        return;
+    }
+    if (type !== 'stateChange') return;
     
-    for (let y = 0; y < GRID_HEIGHT; y++) {
-        for (let x = 0; x < GRID_WIDTH; x++) {
-            const distance = Math.abs(x - player.x) + Math.abs(y - player.y);
-            
-            if (grid[y][x] === 2) {
-                totalDots++;
-                if (distance <= 5) dotsNearPlayer++;
-            } else if (grid[y][x] === 3) {
-                totalPellets++;
-                if (distance <= 5) pelletsNearPlayer++;
+    switch (detail.from) {
+        case GAME_STATES.MENU:
+            closeMenu();
+            break;
+        case GAME_STATES.LEVEL_CLEAR:
+            document.getElementById('levelTransition').style.display = 'none';
+            break;
+        case GAME_STATES.SHOP:
+            closeUpgradeShop();
+            break;
+        case GAME_STATES.GAME_OVER:
+            document.getElementById('gameOver').style.display = 'none';
+            break;
+    }
+    
+    switch (detail.to) {
+        case GAME_STATES.MENU:
+            openMenu();
+            break;
+        case GAME_STATES.LEVEL_CLEAR:
+            document.getElementById('levelTransitionText').textContent = isBossLevel(game.level) ?
+                `Boss Defeated! Level ${game.level} Clear!` : `Level ${game.level} Clear!`;
+            document.getElementById('levelTransition').style.display = 'flex';
+            break;
+        case GAME_STATES.SHOP:
+            openUpgradeShop();
+            break;
+        case GAME_STATES.GAME_OVER:
+            if (isRecordedRun()) {
+                const reward = calculateMetaReward(game.score, game.level);
+                recordRun(createRunRecord());
+                awardMetaCurrency(reward);
+                document.getElementById('metaReward').textContent = `+${reward.toLocaleString()} shards`;
+            } else {
+                document.getElementById('metaReward').textContent = '';
             }
-        }
+            document.getElementById('finalScore').textContent = game.score.toLocaleString();
+            document.getElementById('gameOver').style.display = 'block';
+            break;
     }
     
-    return {
-        dotsNearby: dotsNearPlayer,
-        pelletsNearby: pelletsNearPlayer,
-        totalDots,
-        totalPellets
-    };
+    updateUI();
+});
+
+// Replay controls - export the current run, import one and watch it with pause/step/fast-forward/scrub
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+let replayView = {
+    active: false,
+    paused: false,
+    speedIndex: 0
+};
+
+// Scales (or freezes) frame time while a replay is playing
+function getReplayElapsed(elapsedMs) {
+    if (!replayView.active) return elapsedMs;
+    if (replayView.paused) return 0;
+    
+    if (isReplayFinished()) {
+        setReplayPaused(true);
+        return 0;
+    }
+    return elapsedMs * REPLAY_SPEEDS[replayView.speedIndex];
+}
+
+function setReplayPaused(paused) {
+    replayView.paused = paused;
+    document.getElementById('replayPlayPauseBtn').textContent = paused ? 'Play' : 'Pause';
 }
 
-function calculateEnemyThreatLevel() {
-    let immediateThreats = 0;
-    let nearbyThreats = 0;
+function updateReplayControls() {
+    document.getElementById('replayPlayback').style.display = replayView.active ? 'flex' : 'none';
+    if (!replayView.active) return;
     
-    enemies.forEach(enemy => {
-        if (enemy.scared) return;
-        
-        const distance = Math.abs(enemy.x - player.x) + Math.abs(enemy.y - player.y);
+    const replay = getReplay();
+    const scrubber = document.getElementById('replayScrubber');
+    scrubber.max = replay.endTick;
+    scrubber.value = game.tick;
+    document.getElementById('replayTickLabel').textContent = `${game.tick} / ${replay.endTick}`;
+}
+
+function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Replay buttons never count as "clicking outside" the shop
+document.getElementById('replayControls').addEventListener('click', (e) => e.stopPropagation());
+
+document.getElementById('replayExportBtn').addEventListener('click', () => {
+    const replay = getReplay();
+    if (!replay) return;
+    downloadJson(replay, `pacman-replay-${replay.seed}-tick${replay.endTick}.json`);
+});
+
+document.getElementById('replayImportBtn').addEventListener('click', () => {
+    document.getElementById('replayFileInput').click();
+});
+
+document.getElementById('replayFileInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    file.text().then(text => {
+        let replay = null;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            replay = null;
+        }
         
-        if (distance <= 2) {
-            immediateThreats++;
-        } else if (distance <= 5) {
-            nearbyThreats++;
+        if (!startReplay(replay)) {
+            alert('Not a valid replay file for this version of the game.');
         }
     });
-    
-    return {
-        immediate: immediateThreats,
-        nearby: nearbyThreats,
-        total: immediateThreats + nearbyThreats
-    };
-}
+});
 
-function getStrategicRecommendation(safety, threatLevel) {
-    if (threatLevel.immediate > 0 && safety < 0.3) {
-        return "DANGER: Find power pellet or escape immediately!";
-    } else if (game.powerPelletActive && threatLevel.total > 0) {
-        return "OPPORTUNITY: Hunt enemies for bonus points!";
-    } else if (game.comboCounter > 3) {
-        return "COMBO: Keep collecting dots quickly!";
-    } else if (safety > 0.7) {
-        return "SAFE: Good positioning, continue collecting.";
-    } else {
-        return "CAUTION: Watch for enemy patterns.";
+document.getElementById('replayPlayPauseBtn').addEventListener('click', () => {
+    setReplayPaused(!replayView.paused);
+});
+
+document.getElementById('replayStepBtn').addEventListener('click', () => {
+    setReplayPaused(true);
+    runTicks(1);
+});
+
+document.getElementById('replaySpeedBtn').addEventListener('click', (e) => {
+    replayView.speedIndex = (replayView.speedIndex + 1) % REPLAY_SPEEDS.length;
+    e.target.textContent = REPLAY_SPEEDS[replayView.speedIndex] + 'x';
+});
+
+document.getElementById('replayScrubber').addEventListener('input', (e) => {
+    setReplayPaused(true);
+    seekReplay(Number(e.target.value));
+});
+
+document.getElementById('replayExitBtn').addEventListener('click', () => {
+    stopReplay();
+    startNewRun(getInitialRunSeed());
+});
+
+onGameEvent((type) => {
+    if (type === 'replayStarted') {
+        replayView.active = true;
+        setReplayPaused(false);
+        setInputSource(null);
+    } else if (type === 'replayStopped') {
+        replayView.active = false;
+        setInputSource(localInput);
     }
-}
+});
 
 // Debug mode toggle (press 'D' key)
 let debugMode = false;
 
+onGameEvent((type, detail) => {
+    if (type === 'levelGenerated' && debugMode) {
+        console.log(`Level ${detail.level} (${detail.theme}, seed ${detail.seed}) validation:`, detail.report);
+    }
+});
+
 document.addEventListener('keydown', (e) => {
     if (e.key === 'd' || e.key === 'D') {
         debugMode = !debugMode;
@@ -1507,41 +937,17 @@ document.addEventListener('keydown', (e) => {
             console.log('Strategic Analysis:', strategy);
         }
     }
-});
-
-// Replace the original updateUI call in the update function
-function update() {
-    if (!game.isPlaying || game.isPaused) return;
     
-    // Update power pellet timer
-    if (game.powerPelletActive) {
-        game.powerPelletTimer--;
-        if (game.powerPelletTimer <= 0) {
-            game.powerPelletActive = false;
-            enemies.forEach(enemy => {
-                enemy.scared = false;
-                enemy.scaredTimer = 0;
-            });
-        }
+    // Pathfinding benchmark (press 'B' in debug mode)
+    if ((e.key === 'b' || e.key === 'B') && debugMode) {
+        console.table(benchmarkPathfinding());
     }
-    
-    // Update player
-    updatePlayer();
-    
-    // Update enemies with improved AI
-    updateEnemies();
-    
-    // Use enhanced UI update
-    updateUIEnhanced();
-    
-    // Strategic analysis in debug mode
-    if (debugMode && Math.random() < 0.1) { // 10% chance per frame
-        const strategy = calculateOptimalStrategy();
-        console.log('Live Strategy:', strategy.recommendation);
-    }
-}
+});
 
 // Initialize game
-generateLevel(1);
+setInputSource(localInput);
+setRenderer(canvasRenderer);
+applyMetaProfile();
+openMenu();
 updateUI();
-gameLoop();
+requestAnimationFrame(gameLoop);
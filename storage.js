@@ -0,0 +1,170 @@
+// Local run history, high-score table and the mid-run save slot, persisted in localStorage.
+// The run history blob carries a schema version; older versions are migrated forward on load,
+// and data written by a newer build is left untouched rather than overwritten.
+
+const RUN_HISTORY_KEY = 'roguelikePacman.runHistory';
+const RUN_HISTORY_VERSION = 1;
+const MAX_RUN_HISTORY = 200;  // Oldest runs are dropped past this; high scores are kept separately
+const HIGH_SCORE_LIMIT = 10;
+
+// version -> function upgrading a stored blob from that version to the next one
+const RUN_HISTORY_MIGRATIONS = {};
+
+function createEmptyRunHistory() {
+    return { version: RUN_HISTORY_VERSION, highScores: [], runs: [] };
+}
+
+// Stored history migrated to the current schema, or null if a newer build wrote it
+function loadRunHistory() {
+    let data = null;
+    try {
+        const raw = localStorage.getItem(RUN_HISTORY_KEY);
+        if (raw === null) return createEmptyRunHistory();
+        data = JSON.parse(raw);
+    } catch (error) {
+        console.warn('Discarding unreadable run history', error);
+        return createEmptyRunHistory();
+    }
+    
+    if (!data || !Number.isInteger(data.version) || !Array.isArray(data.highScores) || !Array.isArray(data.runs)) {
+        console.warn('Discarding malformed run history');
+        return createEmptyRunHistory();
+    }
+    if (data.version > RUN_HISTORY_VERSION) {
+        console.warn(`Run history schema v${data.version} is newer than this build (v${RUN_HISTORY_VERSION})`);
+        return null;
+    }
+    
+    while (data.version < RUN_HISTORY_VERSION) {
+        data = RUN_HISTORY_MIGRATIONS[data.version](data);
+    }
+    return data;
+}
+
+function saveRunHistory(history) {
+    try {
+        localStorage.setItem(RUN_HISTORY_KEY, JSON.stringify(history));
+        return true;
+    } catch (error) {
+        console.warn('Could not save run history', error);
+        return false;
+    }
+}
+
+// Appends a finished run to the history and the high-score table
+function recordRun(run) {
+    const history = loadRunHistory();
+    if (!history) return false;
+    
+    history.runs.push(run);
+    if (history.runs.length > MAX_RUN_HISTORY) {
+        history.runs.splice(0, history.runs.length - MAX_RUN_HISTORY);
+    }
+    
+    history.highScores.push(run);
+    history.highScores.sort((a, b) => b.score - a.score || b.level - a.level);
+    history.highScores.length = Math.min(history.highScores.length, HIGH_SCORE_LIMIT);
+    
+    return saveRunHistory(history);
+}
+
+function getHighScores() {
+    const history = loadRunHistory();
+    return history ? history.highScores : [];
+}
+
+// Single mid-run save slot. The snapshot carries its own version (SAVE_VERSION in core.js)
+// and is validated by restoreSimulation before anything is replaced.
+const SAVE_SLOT_KEY = 'roguelikePacman.saveSlot';
+
+function writeSaveSlot(snapshot) {
+    try {
+        localStorage.setItem(SAVE_SLOT_KEY, JSON.stringify(snapshot));
+        return true;
+    } catch (error) {
+        console.warn('Could not write save slot', error);
+        return false;
+    }
+}
+
+// Parsed save slot contents, or null if empty or not JSON
+function readSaveSlot() {
+    try {
+        const raw = localStorage.getItem(SAVE_SLOT_KEY);
+        return raw === null ? null : JSON.parse(raw);
+    } catch (error) {
+        console.warn('Discarding unreadable save slot', error);
+        return null;
+    }
+}
+
+function clearSaveSlot() {
+    try {
+        localStorage.removeItem(SAVE_SLOT_KEY);
+    } catch (error) {
+        console.warn('Could not clear save slot', error);
+    }
+}
+
+// Meta-progression profile: currency carried between runs and the permanent unlocks bought
+// with it (see META_UNLOCKS in core.js). Versioned like the run history.
+const META_PROFILE_KEY = 'roguelikePacman.metaProfile';
+const META_PROFILE_VERSION = 1;
+
+function createMetaProfile() {
+    return { version: META_PROFILE_VERSION, currency: 0, totalEarned: 0, unlocks: createEmptyUnlocks() };
+}
+
+// Stored profile, or null if a newer build wrote it
+function loadMetaProfile() {
+    let data = null;
+    try {
+        const raw = localStorage.getItem(META_PROFILE_KEY);
+        if (raw === null) return createMetaProfile();
+        data = JSON.parse(raw);
+    } catch (error) {
+        console.warn('Discarding unreadable meta profile', error);
+        return createMetaProfile();
+    }
+    
+    if (data && data.version > META_PROFILE_VERSION) {
+        console.warn(`Meta profile schema v${data.version} is newer than this build (v${META_PROFILE_VERSION})`);
+        return null;
+    }
+    
+    // Unlocks added since the profile was written start at level 0
+    const unlocks = data ? { ...createEmptyUnlocks(), ...data.unlocks } : null;
+    if (!data || data.version !== META_PROFILE_VERSION || !Number.isInteger(data.currency) || !isValidUnlocks(unlocks)) {
+        console.warn('Discarding malformed meta profile');
+        return createMetaProfile();
+    }
+    return { ...data, unlocks };
+}
+
+function saveMetaProfile(profile) {
+    try {
+        localStorage.setItem(META_PROFILE_KEY, JSON.stringify(profile));
+        return true;
+    } catch (error) {
+        console.warn('Could not save meta profile', error);
+        return false;
+    }
+}
+
+function awardMetaCurrency(amount) {
+    const profile = loadMetaProfile();
+    if (!profile) return false;
+    
+    profile.currency += amount;
+    profile.totalEarned += amount;
+    return saveMetaProfile(profile);
+}
+
+function buyMetaUnlock(type) {
+    const profile = loadMetaProfile();
+    if (!profile || !canPurchaseMetaUnlock(type, profile.unlocks, profile.currency)) return false;
+    
+    profile.currency -= getMetaUnlockCost(type, profile.unlocks);
+    profile.unlocks[type]++;
+    return saveMetaProfile(profile);
+}
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core, createLevel, startOnLevel, createQueuedInput } = require('./helpers.js');
+
+// Small enough to hand-check, at the minimum board size
+const ROOM_TILES = [
+    '11111111',
+    '10000001',
+    '10111101',
+    '10000001',
+    '11111111',
+    '11111111',
+    '11111111',
+    '11111111'
+];
+
+// A run on the small room with its one enemy held at its spawn, so only the test moves it
+function startInRoom() {
+    const state = startOnLevel(createLevel(ROOM_TILES, { x: 1, y: 1 }, [{ x: 1, y: 3, archetype: 'hunter' }]));
+    state.enemies[0].releaseTimer = 1000000;
+    return state;
+}
+
+function placeOnPlayer(enemy, player) {
+    enemy.x = player.x;
+    enemy.y = player.y;
+    enemy.prevX = player.x;
+    enemy.prevY = player.y;
+}
+
+test('walls stop the player', () => {
+    const input = createQueuedInput();
+    core.setInputSource(input);
+    try {
+        const { player } = startInRoom();
+        
+        input.queue.push({ type: 'direction', direction: 'up' });
+        core.runTicks(60);
+        assert.deepEqual({ x: player.x, y: player.y }, { x: 1, y: 1 }, 'the border holds');
+        
+        input.queue.push({ type: 'direction', direction: 'right' });
+        core.runTicks(200);
+        assert.deepEqual({ x: player.x, y: player.y }, { x: 6, y: 1 }, 'runs along the corridor to the wall');
+        
+        input.queue.push({ type: 'direction', direction: 'left' });
+        core.runTicks(30);
+        assert.equal(player.y, 1);
+        input.queue.push({ type: 'direction', direction: 'down' });
+        core.runTicks(60);
+        assert.equal(player.y, 1, 'the inner wall holds');
+    } finally {
+        core.setInputSource(null);
+    }
+});
+
+test('touching an enemy costs a life and sends the player back to the spawn', () => {
+    const { game, player, enemies } = startInRoom();
+    player.x = 3;
+    player.y = 1;
+    placeOnPlayer(enemies[0], player);
+    const lives = game.lives;
+    
+    core.update();
+    assert.equal(game.lives, lives - 1);
+    assert.deepEqual({ x: player.x, y: player.y }, { x: 1, y: 1 });
+    assert.equal(enemies[0].eaten, false);
+});
+
+test('touching a frightened enemy eats it instead', () => {
+    const { game, player, enemies } = startInRoom();
+    player.x = 3;
+    player.y = 3;
+    const enemy = enemies[0];
+    placeOnPlayer(enemy, player);
+    enemy.scared = true;
+    enemy.scaredTimer = 100;
+    const lives = game.lives;
+    const score = game.score;
+    
+    core.update();
+    assert.equal(game.lives, lives);
+    assert.equal(enemy.eaten, true);
+    assert.equal(enemy.scared, false);
+    assert.equal(game.score, score + 200 * game.multiplier);
+    assert.deepEqual({ x: player.x, y: player.y }, { x: 3, y: 3 });
+});
+
+test('on the last life, getting caught ends the run', () => {
+    const { game, player, enemies } = startInRoom();
+    game.lives = 1;
+    placeOnPlayer(enemies[0], player);
+    
+    core.update();
+    assert.equal(core.getSimulationState().game.state, core.GAME_STATES.GAME_OVER);
+});
@@ -0,0 +1,90 @@
+// Shared fixtures for the core tests: a quiet, input-free simulation and small hand-authored boards
+const core = require('../core.js');
+
+core.setInputSource(null);
+
+// Hand-authored level from rows of tile codes, with a dot on every floor cell except the spawn
+function createLevel(tiles, playerSpawn, enemies) {
+    const items = tiles.map((row, y) => row.split('').map((tile, x) =>
+        tile === '0' && !(x === playerSpawn.x && y === playerSpawn.y) ? '2' : '0').join(''));
+    return {
+        format: core.LEVEL_FORMAT,
+        version: core.LEVEL_FORMAT_VERSION,
+        width: tiles[0].length,
+        height: tiles.length,
+        tiles,
+        items,
+        playerSpawn,
+        enemies
+    };
+}
+
+// Starts a run on a hand-authored board; throws if the level doesn't validate
+function startOnLevel(level, seed = 1) {
+    const errors = core.validateCustomLevel(level).errors;
+    if (errors.length > 0) {
+        throw new Error(`Invalid test level: ${errors.join(', ')}`);
+    }
+    core.startNewRun(seed, core.createEmptyUnlocks(), level);
+    return core.getSimulationState();
+}
+
+// Feeds commands in for the next tick only
+function createQueuedInput() {
+    const input = {
+        queue: [],
+        readCommands() {
+            const commands = input.queue;
+            input.queue = [];
+            return commands;
+        }
+    };
+    return input;
+}
+
+// A stand-in player: turns a seeded random way every few ticks
+function createScriptedInput(seed, interval = 12) {
+    const rng = core.createRng(seed);
+    const directions = Object.keys(core.DIRECTIONS);
+    let ticks = 0;
+    return {
+        readCommands() {
+            ticks++;
+            return ticks % interval === 0 ? [{ type: 'direction', direction: directions[rng.int(directions.length)] }] : [];
+        }
+    };
+}
+
+// Everything that makes up the run except the replay it carries, for comparing two runs
+function snapshotRun() {
+    const snapshot = core.serializeSimulation();
+    delete snapshot.replay;
+    return JSON.stringify(snapshot);
+}
+
+// Clears the level in progress: leaves one dot beside the player and steps onto it, then
+// waits out the level clear banner. Returns once the shop is open.
+function clearLevelToShop() {
+    const { game, player, grid, items } = core.getSimulationState();
+    const [direction, { x: dx, y: dy }] = Object.entries(core.DIRECTIONS).find(([, step]) =>
+        grid[player.y + step.y][player.x + step.x] !== 1);
+    items.forEach(row => row.fill(0));
+    items[player.y + dy][player.x + dx] = 2;
+    game.dotsCollected = game.totalDots - 1;
+    
+    const input = createQueuedInput();
+    core.setInputSource(input);
+    try {
+        input.queue.push({ type: 'direction', direction });
+        for (let i = 0; i < 1000 && game.state !== core.GAME_STATES.SHOP; i++) {
+            core.update();
+        }
+    } finally {
+        core.setInputSource(null);
+    }
+    if (game.state !== core.GAME_STATES.SHOP) {
+        throw new Error(`Level didn't clear (state ${game.state})`);
+    }
+}
+
+module.exports = { core, createLevel, startOnLevel, createQueuedInput, createScriptedInput, snapshotRun, clearLevelToShop };
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core } = require('./helpers.js');
+
+// Every theme, the one-way door levels and a couple of boss arenas
+const LEVELS = [1, 3, 4, 5, 6, 7, 9, 10, 12, 13, 15];
+const SEEDS = [11, 4242];
+
+function forEachBoard(callback) {
+    core.startNewRun(1);
+    SEEDS.forEach(seed => {
+        LEVELS.forEach(level => {
+            core.generateLevel(level, core.deriveSeed(seed, level));
+            callback(core.getSimulationState(), `level ${level}, seed ${seed}`);
+        });
+    });
+}
+
+test('generated boards have a solid wall border', () => {
+    forEachBoard(({ grid }, label) => {
+        const width = grid[0].length;
+        const height = grid.length;
+        for (let x = 0; x < width; x++) {
+            assert.equal(grid[0][x], 1, `${label}: top border at x=${x}`);
+            assert.equal(grid[height - 1][x], 1, `${label}: bottom border at x=${x}`);
+        }
+        for (let y = 0; y < height; y++) {
+            assert.equal(grid[y][0], 1, `${label}: left border at y=${y}`);
+            assert.equal(grid[y][width - 1], 1, `${label}: right border at y=${y}`);
+        }
+    });
+});
+
+test('every dot is reachable from the player spawn', () => {
+    forEachBoard(({ game, items }, label) => {
+        items.forEach((row, y) => row.forEach((item, x) => {
+            if (item !== 2) return;
+            assert.notEqual(core.findPath(game.playerSpawn.x, game.playerSpawn.y, x, y), null,
+                `${label}: dot at ${x},${y} can't be reached`);
+        }));
+    });
+});
+
+test('totalDots matches the dots on the board', () => {
+    forEachBoard(({ game, items }, label) => {
+        const dots = items.reduce((count, row) => count + row.filter(item => item === 2).length, 0);
+        assert.equal(game.totalDots, dots, label);
+        assert.ok(dots > 0, `${label}: no dots`);
+    });
+});
+
+test('items only sit on terrain that can hold them', () => {
+    forEachBoard(({ grid, items }, label) => {
+        items.forEach((row, y) => row.forEach((item, x) => {
+            if (item === 0) return;
+            assert.ok(grid[y][x] !== 1 && grid[y][x] !== 4, `${label}: item ${item} on tile ${grid[y][x]} at ${x},${y}`);
+        }));
+    });
+});
+
+test('teleporters never land on a bonus room item', () => {
+    // Teleporters unlocked on every level, on the levels that also get bonus rooms
+    core.startNewRun(1, { ...core.createEmptyUnlocks(), earlyThemes: 1, teleporters: 1 });
+    for (let seed = 0; seed < 100; seed++) {
+        [3, 6, 9].forEach(level => {
+            core.generateLevel(level, seed);
+            const { grid, items } = core.getSimulationState();
+            items.forEach((row, y) => row.forEach((item, x) => {
+                assert.ok(item === 0 || grid[y][x] !== 4, `level ${level}, seed ${seed}: item ${item} on the teleporter at ${x},${y}`);
+            }));
+        });
+    }
+});
+
+test('the same level and seed always build the same board', () => {
+    core.startNewRun(1);
+    core.generateLevel(7, 99);
+    const first = JSON.stringify(core.getSimulationState().grid);
+    core.generateLevel(8, 100);
+    core.generateLevel(7, 99);
+    assert.equal(JSON.stringify(core.getSimulationState().grid), first);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core, createLevel, startOnLevel } = require('./helpers.js');
+
+// An inner wall forces a detour: the straight line from the spawn to the far corner is blocked
+const DETOUR_TILES = [
+    '11111111',
+    '10000001',
+    '10111101',
+    '10000001',
+    '11111111',
+    '11111111',
+    '11111111',
+    '11111111'
+];
+
+// A corridor with a one-way door (a = right) in the middle
+const DOOR_TILES = [
+    '11111111',
+    '1000a001',
+    '11111111',
+    '11111111',
+    '11111111',
+    '11111111',
+    '11111111',
+    '11111111'
+];
+
+function assertWalkable(path, start, grid) {
+    let previous = start;
+    path.forEach(step => {
+        assert.equal(Math.abs(step.x - previous.x) + Math.abs(step.y - previous.y), 1, 'steps are to a neighbor');
+        assert.notEqual(grid[step.y][step.x], 1, `path goes through the wall at ${step.x},${step.y}`);
+        previous = step;
+    });
+}
+
+test('findPath returns a shortest path around walls', () => {
+    const { grid } = startOnLevel(createLevel(DETOUR_TILES, { x: 1, y: 1 }, [{ x: 6, y: 3, archetype: 'hunter' }]));
+    
+    const path = core.findPath(1, 1, 6, 3);
+    assert.equal(path.length, 7);
+    assert.deepEqual(path[path.length - 1], { x: 6, y: 3 });
+    assertWalkable(path, { x: 1, y: 1 }, grid);
+    
+    assert.deepEqual(core.findPath(3, 1, 3, 1), []);
+});
+
+test('getDistanceField gives path distances and nothing for walls', () => {
+    startOnLevel(createLevel(DETOUR_TILES, { x: 1, y: 1 }, [{ x: 6, y: 3, archetype: 'hunter' }]));
+    const width = DETOUR_TILES[0].length;
+    
+    const field = core.getDistanceField(6, 3);
+    assert.equal(field[1 * width + 1], 7);
+    assert.equal(field[3 * width + 6], 0);
+    assert.equal(field[2 * width + 3], -1, 'wall cells are unreachable');
+    assert.equal(core.getDistanceField(3, 2), null, 'no field towards a wall');
+});
+
+test('one-way doors can only be crossed along their arrow', () => {
+    startOnLevel(createLevel(DOOR_TILES, { x: 1, y: 1 }, [{ x: 6, y: 1, archetype: 'hunter' }]));
+    const width = DOOR_TILES[0].length;
+    
+    assert.equal(core.findPath(1, 1, 6, 1).length, 5);
+    assert.equal(core.findPath(6, 1, 1, 1), null);
+    assert.equal(core.getDistanceField(6, 1)[1 * width + 1], 5);
+    assert.equal(core.getDistanceField(1, 1)[1 * width + 6], -1);
+});
+
+test('walls placed at runtime invalidate cached paths', () => {
+    startOnLevel(createLevel(DETOUR_TILES, { x: 1, y: 1 }, [{ x: 6, y: 3, archetype: 'hunter' }]));
+    
+    assert.equal(core.findPath(1, 1, 6, 1).length, 5);
+    core.setTile(3, 1, 1);
+    const path = core.findPath(1, 1, 6, 1);
+    assert.equal(path.length, 9);
+    assertWalkable(path, { x: 1, y: 1 }, core.getSimulationState().grid);
+});
+
+test('the benchmark builds each theme it reports, whatever themes the run has unlocked', () => {
+    const lengths = () => core.benchmarkPathfinding(50).map(row => [row.theme, row.heapAvgLength, row.legacyAvgLength]);
+    
+    core.startNewRun(1);
+    const plain = lengths();
+    core.startNewRun(1, { ...core.createEmptyUnlocks(), earlyThemes: 2 });
+    assert.deepEqual(lengths(), plain);
+});
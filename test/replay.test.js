@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core, createLevel, createScriptedInput, snapshotRun } = require('./helpers.js');
+
+// A tiny hand-authored board, for play-test runs
+const ROOM_TILES = [
+    '11111111',
+    '10000001',
+    '10111101',
+    '10000001',
+    '11111111',
+    '11111111',
+    '11111111',
+    '11111111'
+];
+
+// Plays a run on a scripted input and returns its replay (a deep copy, as an export would be)
+function recordRun(seed, ticks) {
+    core.setInputSource(createScriptedInput(seed));
+    try {
+        core.startNewRun(seed);
+        core.runTicks(ticks);
+    } finally {
+        core.setInputSource(null);
+    }
+    return JSON.parse(JSON.stringify(core.getReplay()));
+}
+
+test('a replay reproduces its run exactly', () => {
+    const replay = recordRun(3, 2000);
+    const recorded = snapshotRun();
+    assert.ok(replay.commands.length > 0);
+    
+    try {
+        assert.ok(core.startReplay(replay));
+        while (!core.isReplayFinished()) {
+            core.update();
+        }
+        assert.equal(snapshotRun(), recorded);
+    } finally {
+        core.stopReplay();
+    }
+});
+
+test('seeking lands on the same state as playing up to that tick', () => {
+    const replay = recordRun(8, 1200);
+    
+    try {
+        core.startReplay(replay);
+        core.runTicks(700);
+        const played = snapshotRun();
+        
+        core.seekReplay(1100);
+        core.seekReplay(700);
+        assert.equal(snapshotRun(), played);
+    } finally {
+        core.stopReplay();
+    }
+});
+
+test('the same seed and commands give the same run', () => {
+    recordRun(21, 1500);
+    const first = snapshotRun();
+    recordRun(21, 1500);
+    assert.equal(snapshotRun(), first);
+});
+
+test('replays from another version or with unknown commands are rejected', () => {
+    const replay = recordRun(4, 300);
+    const tampered = (change) => {
+        const copy = JSON.parse(JSON.stringify(replay));
+        change(copy);
+        return copy;
+    };
+    
+    assert.equal(core.isValidReplay(replay), true);
+    assert.equal(core.isValidReplay(tampered(copy => { copy.version = core.REPLAY_VERSION - 1; })), false);
+    assert.equal(core.isValidReplay(tampered(copy => { copy.commands.push([copy.endTick, 'teleport']); })), false);
+    assert.equal(core.isValidReplay(tampered(copy => { copy.commands.unshift([copy.endTick + 1, 'continue']); })), false);
+    assert.equal(core.isValidReplay(tampered(copy => { copy.seed = -1; })), false);
+    assert.equal(core.startReplay(tampered(copy => { delete copy.unlocks; })), false);
+});
+
+test('every way into a run announces it, and only hand-authored boards as play-tests', () => {
+    const started = [];
+    core.onGameEvent((type, detail) => {
+        if (type === 'runStarted') started.push(detail.custom);
+    });
+    const level = createLevel(ROOM_TILES, { x: 1, y: 1 }, [{ x: 6, y: 3, archetype: 'hunter' }]);
+    
+    core.startNewRun(5);
+    core.runTicks(100);
+    const save = core.serializeSimulation();
+    const replay = core.getReplay();
+    
+    core.startNewRun(5, core.createEmptyUnlocks(), level);
+    try {
+        core.startReplay(replay);
+    } finally {
+        core.stopReplay();
+    }
+    core.restoreSimulation(save);
+    assert.deepEqual(started, [false, true, false, false]);
+});
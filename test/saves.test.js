@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core, createScriptedInput, snapshotRun, clearLevelToShop } = require('./helpers.js');
+
+// The shell's autosave: level boundaries write the slot, but only for recorded runs
+let saveSlot = null;
+
+core.onGameEvent((type, detail) => {
+    if (type !== 'stateChange' || !core.isRecordedRun()) return;
+    if (detail.to === core.GAME_STATES.SHOP ||
+        (detail.from === core.GAME_STATES.SHOP && detail.to === core.GAME_STATES.PLAYING)) {
+        saveSlot = core.serializeSimulation();
+    }
+});
+
+test('watching a replay from the shop leaves the save slot alone', () => {
+    core.startNewRun(5);
+    clearLevelToShop();
+    assert.equal(saveSlot.game.state, core.GAME_STATES.SHOP);
+    const saved = JSON.stringify(saveSlot);
+    
+    const replay = core.getReplay();
+    try {
+        assert.ok(core.startReplay(replay));
+        assert.equal(core.isRecordedRun(), false);
+        core.runTicks(50);
+    } finally {
+        core.stopReplay();
+    }
+    assert.equal(JSON.stringify(saveSlot), saved);
+});
+
+// A run part way through level 1, and a copy of its save taken through JSON like the slot does
+function saveMidRun(seed, ticks) {
+    core.setInputSource(createScriptedInput(seed));
+    try {
+        core.startNewRun(seed);
+        core.runTicks(ticks);
+    } finally {
+        core.setInputSource(null);
+    }
+    return JSON.parse(JSON.stringify(core.serializeSimulation()));
+}
+
+test('a restored save carries on exactly like the original run', () => {
+    const save = saveMidRun(6, 800);
+    core.runTicks(1000);
+    const original = snapshotRun();
+    
+    core.startNewRun(99);
+    core.runTicks(200);
+    assert.ok(core.restoreSimulation(save));
+    core.runTicks(1000);
+    assert.equal(snapshotRun(), original);
+});
+
+test('corrupt or incompatible saves are rejected and the current run kept', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const save = saveMidRun(2, 500);
+    const corrupted = (change) => {
+        const copy = JSON.parse(JSON.stringify(save));
+        change(copy);
+        return copy;
+    };
+    
+    assert.equal(core.isValidSave(save), true);
+    const broken = [
+        corrupted(copy => { copy.version = core.SAVE_VERSION - 1; }),
+        corrupted(copy => { copy.grid[0].pop(); }),
+        corrupted(copy => { copy.grid[1][1] = 2; }),
+        corrupted(copy => { copy.player.x = copy.gridWidth; }),
+        corrupted(copy => { copy.enemies[0].behavior = 'teleporting'; }),
+        corrupted(copy => { copy.rng = null; }),
+        corrupted(copy => { copy.game.state = core.GAME_STATES.MENU; }),
+        corrupted(copy => { copy.replay.seed++; }),
+        corrupted(copy => { copy.replay.version = core.REPLAY_VERSION - 1; }),
+        null,
+        {}
+    ];
+    
+    core.startNewRun(31);
+    core.runTicks(100);
+    const current = snapshotRun();
+    broken.forEach((data, i) => {
+        assert.equal(core.isValidSave(data), false, `corruption ${i}`);
+        assert.equal(core.restoreSimulation(data), false, `corruption ${i}`);
+    });
+    assert.equal(snapshotRun(), current);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { core, createLevel, startOnLevel } = require('./helpers.js');
+
+function bruteForceCost(costs) {
+    let best = Infinity;
+    const assign = (row, used, total) => {
+        if (row === costs.length) {
+            best = Math.min(best, total);
+            return;
+        }
+        costs[row].forEach((cost, column) => {
+            if (used.has(column)) return;
+            used.add(column);
+            assign(row + 1, used, total + cost);
+            used.delete(column);
+        });
+    };
+    assign(0, new Set(), 0);
+    return best;
+}
+
+test('solveAssignment finds a minimum-cost assignment to distinct columns', () => {
+    const rng = core.createRng(7);
+    for (let round = 0; round < 200; round++) {
+        const rows = 1 + rng.int(5);
+        const columns = rows + rng.int(3);
+        const costs = Array.from({ length: rows }, () => Array.from({ length: columns }, () => rng.int(30)));
+        
+        const assignment = core.solveAssignment(costs);
+        assert.equal(new Set(assignment).size, rows, 'columns are distinct');
+        const total = assignment.reduce((sum, column, row) => sum + costs[row][column], 0);
+        assert.equal(total, bruteForceCost(costs));
+    }
+});
+
+test('every hunting enemy gets its own intercept cell, whatever its behavior', () => {
+    core.startNewRun(1);
+    core.generateLevel(8, 41);
+    const { game, player, enemies } = core.getSimulationState();
+    game.enemyPhase.mode = core.ENEMY_PHASES.CHASE;
+    enemies.forEach((enemy, index) => {
+        enemy.behavior = core.ENEMY_BEHAVIORS[index % core.ENEMY_BEHAVIORS.length];
+        enemy.releaseTimer = 0;
+        enemy.lastSeen = { x: player.x, y: player.y, age: 0, checked: false };
+    });
+    enemies[0].scared = true;
+    enemies[0].scaredTimer = 100;
+    
+    core.update();
+    assert.equal(enemies[0].squadTarget, null, 'scared enemies sit the plan out');
+    // The spawn corner has only a few escape routes, so not every hunter gets a cell
+    const planned = enemies.filter(enemy => enemy.squadTarget);
+    assert.ok(planned.length >= 3);
+    assert.ok(planned.some(enemy => !['coordinator', 'trapper'].includes(enemy.behavior)));
+    const cells = planned.map(({ squadTarget }) => `${squadTarget.x},${squadTarget.y}`);
+    assert.equal(new Set(cells).size, cells.length);
+    assert.ok(cells.includes(`${player.x},${player.y}`), 'someone goes straight for the sighting');
+});
+
+test('behaviors outside the squad head for their intercept cell too', () => {
+    const tiles = [
+        '11111111',
+        '10000001',
+        '10111101',
+        '10000001',
+        '11111111',
+        '11111111',
+        '11111111',
+        '11111111'
+    ];
+    const { game, enemies } = startOnLevel(createLevel(tiles, { x: 1, y: 1 }, [{ x: 6, y: 3, behavior: 'random' }]));
+    game.enemyPhase.mode = core.ENEMY_PHASES.CHASE;
+    const enemy = enemies[0];
+    enemy.releaseTimer = 0;
+    enemy.squadTarget = { x: 6, y: 1 };
+    
+    for (let i = 0; i < 50; i++) {
+        assert.deepEqual(core.getEnemyMove(enemy), { x: 0, y: -1 });
+    }
+});
+
+test('coordinators always head for their intercept cell', () => {
+    const tiles = [
+        '11111111',
+        '10000001',
+        '10111101',
+        '10000001',
+        '11111111',
+        '11111111',
+        '11111111',
+        '11111111'
+    ];
+    const { game, enemies } = startOnLevel(createLevel(tiles, { x: 1, y: 1 }, [{ x: 6, y: 3, behavior: 'coordinator' }]));
+    game.enemyPhase.mode = core.ENEMY_PHASES.CHASE;
+    const enemy = enemies[0];
+    enemy.releaseTimer = 0;
+    enemy.squadTarget = { x: 6, y: 1 };
+
+    for (let i = 0; i < 50; i++) {
+        assert.deepEqual(core.getEnemyMove(enemy), { x: 0, y: -1 });
+    }
+});